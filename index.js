@@ -6,24 +6,464 @@ const fs = require('fs');
 const joi = require('joi');
 const hoek = require('@hapi/hoek');
 const path = require('path');
-const request = require('screwdriver-request');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('screwdriver-logger');
 const CoverageBase = require('screwdriver-coverage-base');
+const MemoryCache = require('./lib/cache');
+const SonarClient = require('./lib/client');
+const errors = require('./lib/errors');
+const { getCompatibility } = require('./lib/compatibility');
 
+const { SonarConflictError, SonarNotFoundError, wrapError } = errors;
 const COMMANDS = fs.readFileSync(path.join(__dirname, 'commands.txt'), 'utf8').trim();
 const DEFAULT_GIT_APP_NAME = 'Screwdriver Sonar PR Checks';
+const DEFAULT_TOKEN_RETENTION_DAYS = 7;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const SONAR_VERSION_SCHEMA = joi.string().pattern(/^\d+(\.\d+)*$/);
+// Timeouts of calls to Sonar endpoints, by path (e.g. /api/measures/search_history)
+const ENDPOINT_TIMEOUTS_SCHEMA = joi.object().pattern(/^\/api\//, joi.number().integer().min(1));
+// Tokens minted for builds are named sd-job-<jobId>-build-<buildId>
+const BUILD_TOKEN_REGEX = /^sd-job-(\d+)-build-(\d+)$/;
+const MONOREPO_ANNOTATION = 'screwdriver.cd/coverageMonorepo';
+const QUALITY_GATE_ANNOTATION = 'screwdriver.cd/coverageQualityGate';
+const QUALITY_PROFILES_ANNOTATION = 'screwdriver.cd/coverageQualityProfiles';
+// Metrics always fetched, the coverage and tests results are computed from them
+const DEFAULT_METRICS = ['tests', 'test_errors', 'test_failures', 'coverage'];
+// Maximum page size of the measures history API, and how many pages are read before giving up
+const HISTORY_PAGE_SIZE = 1000;
+const HISTORY_MAX_PAGES = 10;
+// Coverage metrics of the files and directories of a project, and the maximum page size of the component tree API
+const FILE_COVERAGE_METRICS = [
+    'coverage',
+    'lines_to_cover',
+    'uncovered_lines',
+    'conditions_to_cover',
+    'uncovered_conditions'
+];
+const COMPONENT_TREE_MAX_PAGE_SIZE = 500;
+const COMPONENT_QUALIFIERS = { DIR: 'directory', FIL: 'file' };
+// Sorts listing the worst-covered components first in ascending order, the others (e.g. uncovered_lines) in descending
+const ASCENDING_FILE_SORTS = ['coverage', 'name', 'path'];
+// Security metrics of a project, and how many projects the measures search API accepts at once
+const SECURITY_METRICS = [
+    'vulnerabilities',
+    'security_hotspots',
+    'security_hotspots_reviewed',
+    'security_rating',
+    'security_review_rating'
+];
+const MEASURES_SEARCH_MAX_PROJECTS = 100;
+const DEFAULT_BATCH_CONCURRENCY = 5;
+// Milliseconds before builds detect the Sonar server again, after it failed to be detected
+const SERVER_DETECTION_RETRY_DELAY = 60 * 1000;
+// Analysis statuses reported for the statuses of Sonar background tasks
+const TASK_STATUSES = {
+    PENDING: 'pending',
+    IN_PROGRESS: 'in_progress',
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    CANCELED: 'failed'
+};
+// Background tasks read to find the one of a build, newer builds of the project may have submitted tasks since
+const TASKS_PAGE_SIZE = 100;
+// Units of well-known Sonar metrics, other metrics are returned without unit
+const METRIC_UNITS = {
+    coverage: '%',
+    new_coverage: '%',
+    line_coverage: '%',
+    branch_coverage: '%',
+    duplicated_lines_density: '%',
+    new_duplicated_lines_density: '%',
+    test_success_density: '%',
+    tests: 'count',
+    test_errors: 'count',
+    test_failures: 'count',
+    skipped_tests: 'count',
+    bugs: 'count',
+    new_bugs: 'count',
+    vulnerabilities: 'count',
+    new_vulnerabilities: 'count',
+    code_smells: 'count',
+    new_code_smells: 'count',
+    security_hotspots: 'count',
+    ncloc: 'count',
+    sqale_index: 'min',
+    new_technical_debt: 'min',
+    reliability_remediation_effort: 'min',
+    security_remediation_effort: 'min',
+    sqale_rating: 'rating',
+    reliability_rating: 'rating',
+    security_rating: 'rating',
+    security_review_rating: 'rating',
+    test_execution_time: 'ms'
+};
+
+/**
+ * Get the name of the token minted for a build
+ * @param  {String} jobId      Screwdriver job ID
+ * @param  {String} [buildId]  Screwdriver build ID
+ * @return {String}            Token name, random if the build is unknown
+ */
+function getBuildTokenName(jobId, buildId) {
+    return buildId ? `sd-job-${jobId}-build-${buildId}` : `sd-${uuidv4()}`;
+}
+
+/**
+ * Check if a token is a project analysis token this plugin generated for a project
+ * @param  {Object} token       Token from the user tokens search API
+ * @param  {String} projectKey  Sonar project key
+ * @return {Boolean}            True if the token belongs to the project
+ */
+function isProjectToken(token, projectKey) {
+    return token.name.startsWith('sd-') && hoek.reach(token, 'project.key') === projectKey;
+}
+
+/**
+ * Split a repository name (e.g. org/repo) into its owner and repository parts
+ * @param  {String} projectName  Repository name
+ * @return {String[]}            Owner and repository
+ */
+function splitRepositoryName(projectName) {
+    const index = projectName.lastIndexOf('/');
+
+    return index === -1 ? ['', projectName] : [projectName.slice(0, index), projectName.slice(index + 1)];
+}
+
+// Binding endpoint of each ALM type, with:
+// - fields: binding fields, as reported by get_binding, of a Screwdriver repository name
+// - parameters: repository parameters of the binding endpoint
+// - name: repository name of a binding
+const ALM_BINDINGS = {
+    github: {
+        endpoint: 'set_github_binding',
+        fields: projectName => ({ repository: projectName }),
+        parameters: ({ repository }) => `repository=${repository}&summaryCommentEnabled=true`,
+        name: ({ repository }) => repository
+    },
+    gitlab: {
+        endpoint: 'set_gitlab_binding',
+        // Sonar binds GitLab projects by ID, configureGitApp looks it up from the project path
+        fields: projectId => ({ repository: projectId }),
+        parameters: ({ repository }) => `repository=${encodeURIComponent(repository)}`,
+        name: ({ repository }) => repository
+    },
+    bitbucket: {
+        endpoint: 'set_bitbucket_binding',
+        fields: projectName => {
+            const [repository, slug] = splitRepositoryName(projectName);
+
+            return { repository, slug };
+        },
+        parameters: ({ repository, slug }) =>
+            `repository=${encodeURIComponent(repository)}&slug=${encodeURIComponent(slug)}`,
+        name: ({ repository, slug }) => `${repository}/${slug}`
+    },
+    bitbucketcloud: {
+        endpoint: 'set_bitbucketcloud_binding',
+        fields: projectName => ({ repository: splitRepositoryName(projectName)[1] }),
+        parameters: ({ repository }) => `repository=${encodeURIComponent(repository)}`,
+        name: ({ repository }) => repository
+    },
+    azure: {
+        endpoint: 'set_azure_binding',
+        fields: projectName => {
+            const [slug, repository] = splitRepositoryName(projectName);
+
+            return { slug, repository };
+        },
+        parameters: ({ slug, repository }) =>
+            `projectName=${encodeURIComponent(slug)}&repositoryName=${encodeURIComponent(repository)}`,
+        name: ({ slug, repository }) => `${slug}/${repository}`
+    }
+};
+
+/**
+ * Get the name of a Sonar group from a template with {pipelineName}, {org} and {repo} placeholders
+ * @param  {String} template      Group name template (e.g. sd-{org})
+ * @param  {String} pipelineName  Screwdriver pipeline name (e.g. org/repo)
+ * @return {String}               Group name
+ */
+function getGroupName(template, pipelineName = '') {
+    const [org, repo] = splitRepositoryName(pipelineName);
+
+    return template
+        .replace(/{pipelineName}/g, pipelineName)
+        .replace(/{org}/g, org)
+        .replace(/{repo}/g, repo);
+}
+
+/**
+ * Get the ALM type of an SCM context, used when no ALM setting matches it
+ * @param  {String} [scm]      SCM type (github, gitlab or bitbucket), github if not set
+ * @param  {String} [scmHost]  SCM host
+ * @return {String}            ALM type
+ */
+function getScmAlm(scm, scmHost) {
+    if (scm === 'bitbucket') {
+        return scmHost === 'bitbucket.org' ? 'bitbucketcloud' : 'bitbucket';
+    }
+
+    return ALM_BINDINGS[scm] ? scm : 'github';
+}
+
+/**
+ * Convert a time from 2018-05-10T19:05:53.123Z to 2018-05-10T19:05:53-0700 as required by sonar
+ * @param  {String} time   Time in ISO format
+ * @return {String}        URL-encoded Sonar time
+ */
+function toSonarTime(time) {
+    // get timezone offset (e.g. -0700) from 'Fri May 11 2018 15:25:37 GMT-0700 (PDT)'
+    const timezoneOffset = new Date().toString().match(/GMT(.*?) /)[1];
+
+    return encodeURIComponent(time.replace(/\.(.*)/, timezoneOffset));
+}
+
+/**
+ * Parse quality profiles from "language:profile" pairs (e.g. "js:Strict Way, java:Company Way")
+ * @param  {String|Object} [qualityProfiles]  Pairs separated by commas, or an object of profile names by language
+ * @return {Object}                           Profile names by language
+ */
+function parseQualityProfiles(qualityProfiles) {
+    if (!qualityProfiles || typeof qualityProfiles === 'object') {
+        return qualityProfiles || {};
+    }
+
+    return String(qualityProfiles)
+        .split(',')
+        .filter(pair => pair.includes(':'))
+        .reduce((profiles, pair) => {
+            const index = pair.indexOf(':');
+
+            profiles[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+
+            return profiles;
+        }, {});
+}
+
+/**
+ * Get the parameters selecting the pull request or branch of a project in Sonar web APIs
+ * Pull requests and branches are only analyzed separately on enterprise editions
+ * @param  {Object}  config
+ * @param  {Boolean} [config.enterpriseEnabled]  If Sonar enterprise is used or not
+ * @param  {String}  [config.prNum]              Pull request number
+ * @param  {String}  [config.branch]             Branch name, for non pull request builds
+ * @return {String}                              Query string parameters, empty for the main branch
+ */
+function getBranchParameters({ enterpriseEnabled, prNum, branch }) {
+    if (!enterpriseEnabled) {
+        return '';
+    }
+
+    if (prNum) {
+        return `&pullRequest=${prNum}`;
+    }
+
+    return branch ? `&branch=${encodeURIComponent(branch)}` : '';
+}
+
+/**
+ * Get the analysis status of a build from its Sonar background task
+ * @param  {Object}  [task]             Sonar background task
+ * @param  {Boolean} coverageFound      If coverage was found, for analyses without background task
+ * @return {Object}                     Object with status (pending, in_progress, success, failed or not_configured)
+ *                                      and the error message of the task if there is one
+ */
+function getAnalysisStatus(task, coverageFound) {
+    if (!task) {
+        return { status: coverageFound ? 'success' : 'not_configured' };
+    }
+
+    const analysisStatus = { status: TASK_STATUSES[task.status] || 'not_configured' };
+
+    if (task.errorMessage) {
+        analysisStatus.statusMessage = task.errorMessage;
+    } else if (task.status === 'CANCELED') {
+        analysisStatus.statusMessage = 'Analysis was canceled';
+    }
+
+    return analysisStatus;
+}
+
+/**
+ * Build the security summary of a project from its Sonar measures
+ * @param  {String} projectKey  Sonar project key
+ * @param  {Array}  measures    Sonar measures, with metric and value
+ * @return {Object}             Security summary, with null values for missing measures
+ */
+function toSecuritySummary(projectKey, measures) {
+    const values = {};
+    // ratings are 1.0 (A) to 5.0 (E)
+    const toRating = value => (value ? String.fromCharCode(64 + Math.round(Number(value))) : null);
+
+    (measures || []).forEach(({ metric, value }) => {
+        values[metric] = value;
+    });
+
+    return {
+        projectKey,
+        vulnerabilities: values.vulnerabilities === undefined ? null : Number(values.vulnerabilities),
+        securityHotspots: values.security_hotspots === undefined ? null : Number(values.security_hotspots),
+        securityHotspotsReviewed:
+            values.security_hotspots_reviewed === undefined ? null : Number(values.security_hotspots_reviewed),
+        securityRating: toRating(values.security_rating),
+        securityReviewRating: toRating(values.security_review_rating)
+    };
+}
+
+/**
+ * Convert the latest history values of Sonar measures to typed values with their unit
+ * @param  {Object} measures   Sonar measures by metric name
+ * @return {Object}            Objects with a numeric value and a unit by metric name, non numeric values are left out
+ */
+function toTypedMeasures(measures) {
+    return Object.keys(measures).reduce((typedMeasures, metric) => {
+        const value = hoek.reach(measures[metric], 'history.0.value');
+
+        if (value !== undefined && value !== '' && !Number.isNaN(Number(value))) {
+            typedMeasures[metric] = { value: Number(value), unit: METRIC_UNITS[metric] || null };
+        }
+
+        return typedMeasures;
+    }, {});
+}
+
+/**
+ * Get the coverage percentage, tests success ratio and typed measures from the latest history values
+ * @param  {Object} measures   Sonar measures with their history by metric name
+ * @return {Object}            Object with coverage, tests and typed measures
+ */
+function toMetricsValues(measures) {
+    const values = {
+        coverage: hoek.reach(measures, 'coverage.history.0.value') || 'N/A',
+        tests: 'N/A',
+        measures: toTypedMeasures(measures)
+    };
+    const zero = { default: 0 };
+    const total = hoek.reach(measures, 'tests.history.0.value', { default: 'N/A' });
+    const testErrors = hoek.reach(measures, 'test_errors.history.0.value', zero);
+    const testFailures = hoek.reach(measures, 'test_failures.history.0.value', zero);
+
+    if (!Number.isNaN(Number(total))) {
+        const totalInt = parseInt(total, 10);
+        const pass = totalInt - parseInt(testErrors, 10) - parseInt(testFailures, 10);
+
+        values.tests = `${pass}/${totalInt}`;
+    }
+
+    return values;
+}
+
+/**
+ * Check if the results of an analysis are final, N/A and pending results can still change
+ * @param  {Object} result     Result of getMetrics
+ * @return {Boolean}           True if the result is final
+ */
+function isFinalResult(result) {
+    return result.status === 'failed' || (result.status === 'success' && result.coverage !== 'N/A');
+}
+
+/**
+ * Run an asynchronous function on items, with a limited number of calls at once
+ * @param  {Array}    items         Items
+ * @param  {Number}   concurrency   Maximum number of calls at once
+ * @param  {Function} fn            Function returning a promise for an item
+ * @return {Promise}                Results in the order of the items
+ */
+function mapWithConcurrency(items, concurrency, fn) {
+    const results = [];
+    let next = 0;
+    const worker = () => {
+        if (next >= items.length) {
+            return Promise.resolve();
+        }
+
+        const index = next;
+
+        next += 1;
+
+        return fn(items[index]).then(result => {
+            results[index] = result;
+
+            return worker();
+        });
+    };
+
+    return Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker)).then(() => results);
+}
+
+/**
+ * Get the shell commands uploading coverage, the last one does not fail the build
+ * @param  {Object}   config
+ * @param  {String}   config.sdUiUrl            URL for Screwdriver UI
+ * @param  {String}   [config.sonarHost]        Sonar host, read from the build env vars if not set
+ * @param  {Boolean}  [config.sonarEnterprise]  If Sonar enterprise is used, read from the build env vars if not set
+ * @return {String[]}                           Commands
+ */
+function getUploadCommands({ sdUiUrl, sonarHost, sonarEnterprise }) {
+    let commands = COMMANDS.replace('$SD_UI_URL', sdUiUrl);
+
+    if (sonarHost) {
+        commands = commands.replace('$SD_SONAR_HOST', sonarHost);
+    }
+
+    if (sonarEnterprise !== undefined) {
+        commands = commands.replace('$SD_SONAR_ENTERPRISE', sonarEnterprise);
+    }
+
+    const uploadCommands = commands.split('\n');
+
+    uploadCommands[uploadCommands.length - 1] += ' || true';
+
+    return uploadCommands;
+}
 
 class CoverageSonar extends CoverageBase {
     /**
      * Constructor
      * @method constructor
-     * @param  {Object}  config                     Configuration object
-     * @param  {String}  config.sdApiUrl            URL for Screwdriver API
-     * @param  {String}  config.sdUiUrl             URL for Screwdriver UI
-     * @param  {String}  config.sonarHost           SonarQube Server host
-     * @param  {String}  config.adminToken          Sonar Admin token
-     * @param  {Boolean} [config.sonarEnterprise]   If Sonar enterprise is used or not
+     * @param  {Object}  config                       Configuration object
+     * @param  {String}  config.sdApiUrl              URL for Screwdriver API
+     * @param  {String}  config.sdUiUrl               URL for Screwdriver UI
+     * @param  {String}  config.sonarHost             SonarQube Server host
+     * @param  {String}  config.adminToken            Sonar Admin token
+     * @param  {Boolean} [config.sonarEnterprise]     If Sonar enterprise is used or not, auto to detect it from
+     *                                                the edition of the server
+     * @param  {String}  [config.sonarVersion]        Version of the Sonar server (e.g. 9.9), selecting the APIs and
+     *                                                scanner properties to use, auto to detect it, latest if not set
+     * @param  {Number}  [config.tokenRetentionDays]  Days before a generated token expires
+     * @param  {String}  [config.provisioningMode]    How build tokens are provisioned: user, project or auto
+     * @param  {Boolean} [config.sonarMonorepo]       If repositories are bound as monorepos by default
+     * @param  {String}  [config.permissionTemplate]  Permission template applied to new projects
+     * @param  {Array}   [config.groupPermissions]    Permissions granted to groups on every project, group names
+     *                                                can use {pipelineName}, {org} and {repo} placeholders
+     * @param  {Array}   [config.sonarServers]        Other Sonar servers, each with a name, sonarHost, adminToken,
+     *                                                and optional sonarEnterprise and sonarGitAppName
+     * @param  {Array}   [config.sonarRouting]        Rules routing pipelines to Sonar servers by scmContext and/or
+     *                                                pipeline org; unrouted pipelines use sonarHost
+     * @param  {Array}   [config.metrics]             Other Sonar metrics returned by getMetrics (e.g. bugs, sqale_index)
+     * @param  {Number}  [config.issuesLimit]         Number of new issues returned by getInfo, 0 to leave issues out
+     * @param  {Object}  [config.cache]               Cache of getMetrics results
+     * @param  {Object}  [config.cache.store]         Store with promise-based get(key) and set(key, value, ttl),
+     *                                                an in-memory LRU cache by default
+     * @param  {Number}  [config.cache.size]          Maximum number of entries of the in-memory cache
+     * @param  {Number}  [config.cache.ttl]           Seconds final results are cached, 0 to disable the cache
+     * @param  {Number}  [config.cache.pendingTtl]    Seconds N/A and pending results are cached
+     * @param  {Number}  [config.cache.provisioningTtl]       Seconds provisioned projects are not provisioned
+     *                                                         again, 0 to provision them for every build
+     * @param  {Number}  [config.cache.almSettingsTtl]        Seconds the ALM settings (Git Apps) are cached
+     * @param  {Object}  [config.sonarApi]                     Calls to the Sonar API
+     * @param  {Number}  [config.sonarApi.timeout]             Milliseconds before a call times out
+     * @param  {Object}  [config.sonarApi.timeouts]            Milliseconds before calls to an endpoint time out,
+     *                                                         by endpoint (e.g. /api/measures/search_history)
+     * @param  {Number}  [config.sonarApi.retries]             Retries of GET and provisioning calls failing with
+     *                                                         5xx or 429
+     * @param  {Number}  [config.sonarApi.retryDelay]          Milliseconds before the first retry, doubled for
+     *                                                         each retry and randomized
+     * @param  {Number}  [config.sonarApi.retryMaxDelay]       Maximum milliseconds between retries
+     * @param  {Number}  [config.sonarApi.breakerThreshold]    Failed calls in a row before Sonar is considered
+     *                                                         unavailable and calls fail fast
+     * @param  {Number}  [config.sonarApi.breakerResetTimeout] Milliseconds calls fail fast before Sonar is tried
+     *                                                         again
      *
      */
     constructor(config) {
@@ -38,8 +478,90 @@ class CoverageSonar extends CoverageBase {
                     sdUiUrl: joi.string().uri().required(),
                     sonarHost: joi.string().uri().required(),
                     adminToken: joi.string().required(),
-                    sonarEnterprise: joi.boolean().default(false),
-                    sonarGitAppName: joi.string().default(DEFAULT_GIT_APP_NAME)
+                    sonarEnterprise: joi.alternatives().try(joi.boolean(), joi.valid('auto')).default(false),
+                    sonarVersion: joi.alternatives().try(SONAR_VERSION_SCHEMA, joi.valid('auto')),
+                    sonarGitAppName: joi.string().default(DEFAULT_GIT_APP_NAME),
+                    tokenRetentionDays: joi.number().integer().min(1).default(DEFAULT_TOKEN_RETENTION_DAYS),
+                    provisioningMode: joi.string().valid('user', 'project', 'auto').default('user'),
+                    sonarMonorepo: joi.boolean().default(false),
+                    permissionTemplate: joi.string(),
+                    groupPermissions: joi
+                        .array()
+                        .items(
+                            joi.object().keys({
+                                group: joi.string().required(),
+                                permissions: joi
+                                    .array()
+                                    .items(
+                                        joi
+                                            .string()
+                                            .valid('user', 'codeviewer', 'issueadmin', 'securityhotspotadmin', 'admin')
+                                    )
+                                    .default(['user', 'codeviewer'])
+                            })
+                        )
+                        .default([]),
+                    sonarServers: joi
+                        .array()
+                        .items(
+                            joi
+                                .object()
+                                .keys({
+                                    name: joi.string().required(),
+                                    sonarHost: joi.string().uri().required(),
+                                    adminToken: joi.string().required(),
+                                    sonarEnterprise: joi.alternatives().try(joi.boolean(), joi.valid('auto')),
+                                    sonarVersion: joi.alternatives().try(SONAR_VERSION_SCHEMA, joi.valid('auto')),
+                                    sonarGitAppName: joi.string()
+                                })
+                                .unknown(true)
+                        )
+                        .unique('name')
+                        .default([]),
+                    sonarRouting: joi
+                        .array()
+                        .items(
+                            joi
+                                .object()
+                                .keys({
+                                    server: joi.string().required(),
+                                    scmContext: joi.string(),
+                                    org: joi.string()
+                                })
+                                .or('scmContext', 'org')
+                        )
+                        .default([]),
+                    metrics: joi.array().items(joi.string()).default([]),
+                    issuesLimit: joi.number().integer().min(0).max(500).default(0),
+                    cache: joi
+                        .object()
+                        .keys({
+                            store: joi.any().custom(store => {
+                                if (typeof store.get !== 'function' || typeof store.set !== 'function') {
+                                    throw new Error('cache store must implement get and set');
+                                }
+
+                                return store;
+                            }),
+                            size: joi.number().integer().min(0).default(1000),
+                            ttl: joi.number().min(0).default(86400),
+                            pendingTtl: joi.number().min(0).default(60),
+                            provisioningTtl: joi.number().min(0).default(3600),
+                            almSettingsTtl: joi.number().min(0).default(300)
+                        })
+                        .default(),
+                    sonarApi: joi
+                        .object()
+                        .keys({
+                            timeout: joi.number().integer().min(1).default(10000),
+                            timeouts: ENDPOINT_TIMEOUTS_SCHEMA.default({}),
+                            retries: joi.number().integer().min(0).max(10).default(2),
+                            retryDelay: joi.number().integer().min(0).default(500),
+                            retryMaxDelay: joi.number().integer().min(0).default(5000),
+                            breakerThreshold: joi.number().integer().min(1).default(5),
+                            breakerResetTimeout: joi.number().integer().min(0).default(30000)
+                        })
+                        .default()
                 })
                 .unknown(true),
             'Invalid config for sonar coverage plugin'
@@ -49,263 +571,2077 @@ class CoverageSonar extends CoverageBase {
         this.sdCoverageAuthUrl = `${this.config.sdApiUrl}/v4/coverage/token`;
         this.adminToken = this.config.adminToken;
         this.sonarHost = this.config.sonarHost;
-        this.sonarEnterprise = this.config.sonarEnterprise;
+        this.autoDetect = this.config.sonarEnterprise === 'auto';
+        this.sonarEnterprise = this.config.sonarEnterprise === true;
+        this.sonarVersion = this.config.sonarVersion;
+        this.compatibility = getCompatibility(this.sonarVersion === 'auto' ? undefined : this.sonarVersion);
         this.sonarGitAppName = this.config.sonarGitAppName;
+        this.tokenRetentionDays = this.config.tokenRetentionDays;
+        this.provisioningMode = this.config.provisioningMode;
+        this.sonarMonorepo = this.config.sonarMonorepo;
+        this.permissionTemplate = this.config.permissionTemplate;
+        this.groupPermissions = this.config.groupPermissions;
+        this.metrics = this.config.metrics;
+        this.issuesLimit = this.config.issuesLimit;
+        this.cache = this.config.cache.store || new MemoryCache({ size: this.config.cache.size });
+        this.cacheTtl = this.config.cache.ttl;
+        this.cachePendingTtl = this.config.cache.pendingTtl;
+        this.provisioningTtl = this.config.cache.provisioningTtl;
+        this.almSettingsTtl = this.config.cache.almSettingsTtl;
+        this.client = new SonarClient(this.config.sonarApi);
+        this.sonarRouting = this.config.sonarRouting;
+        this.sonarServers = {};
+
+        // each routed server is handled by its own instance, sharing the rest of the config
+        this.config.sonarServers.forEach(server => {
+            this.sonarServers[server.name] = new CoverageSonar({
+                ...this.config,
+                ...server,
+                sonarServers: [],
+                sonarRouting: []
+            });
+        });
+        this.sonarRouting.forEach(({ server }) => {
+            if (!this.sonarServers[server]) {
+                throw new Error(`Invalid config for sonar coverage plugin: unknown Sonar server ${server}`);
+            }
+        });
+
+        // with several servers or an auto-detected edition, the build gets them from the env vars of getInfo
+        this.uploadCommands = getUploadCommands({
+            sdUiUrl: this.config.sdUiUrl,
+            sonarHost: this.sonarRouting.length > 0 ? undefined : this.sonarHost,
+            sonarEnterprise: this.sonarRouting.length > 0 || this.autoDetect ? undefined : this.sonarEnterprise
+        });
+
+        if (this.autoDetect || this.sonarVersion === 'auto') {
+            this._startServerDetection();
+        }
+    }
+
+    /**
+     * Detect the server in the background, builds wait for it
+     * If it cannot be detected, enterprise features stay disabled and the latest version is assumed
+     * until the next build after SERVER_DETECTION_RETRY_DELAY, or the next health check
+     * @method _startServerDetection
+     */
+    _startServerDetection() {
+        this.serverDetection = this.detectServer()
+            .then(() => {
+                this.detectionFailedAt = null;
+            })
+            .catch(err => {
+                this.detectionFailedAt = Date.now();
+                logger.error(`${err.message}, detecting it again on the next builds`);
+            })
+            .then(() => {
+                this.serverDetection = null;
+            });
+    }
+
+    /**
+     * Get the server detection builds have to wait for, detecting the server again if it has not been detected yet
+     * @method _waitForServerDetection
+     * @return {Promise}    Server detection, null if there is none
+     */
+    _waitForServerDetection() {
+        if (
+            !this.serverDetection &&
+            !this.serverInfo &&
+            this.detectionFailedAt &&
+            Date.now() - this.detectionFailedAt >= SERVER_DETECTION_RETRY_DELAY
+        ) {
+            this._startServerDetection();
+        }
+
+        return this.serverDetection;
+    }
+
+    /**
+     * Get the instance talking to the Sonar server of a pipeline
+     * The first routing rule matching both its scmContext and org (when set) wins
+     * @method getServer
+     * @param  {Object} config
+     * @param  {String} [config.scmContext]     SCM context (e.g. github:github.com)
+     * @param  {String} [config.pipelineName]   Screwdriver pipeline name (org/repo)
+     * @return {CoverageSonar}                  Instance of the routed server, this instance if none matches
+     */
+    getServer({ scmContext, pipelineName }) {
+        const [org] = splitRepositoryName(pipelineName || '');
+        const rule = this.sonarRouting.find(
+            route => (!route.scmContext || route.scmContext === scmContext) && (!route.org || route.org === org)
+        );
+
+        return rule ? this.sonarServers[rule.server] : this;
+    }
+
+    /**
+     * Create a project in sonar
+     * @method createProject
+     * @param  {String} projectKey    Unique identifier for the project
+     * @return {Promise}              Project object if it gets created or empty object if already exists
+     */
+    createProject(projectKey) {
+        // not retried, the retry of a call creating the project would fail as a duplicate and skip its permissions
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/projects/create?${this.compatibility.projectParameter}=${projectKey}&name=${projectKey}`,
+                username: this.adminToken
+            })
+            .catch(err => {
+                if (err instanceof SonarConflictError) {
+                    return {};
+                }
+
+                throw wrapError(err, `Failed to create project ${projectKey}: ${err.message}`, {
+                    operation: 'createProject',
+                    projectKey
+                });
+            });
+    }
+
+    /**
+     * Create a user in sonar
+     * @method createUser
+     * @param  {String} username  Username of the user
+     * @param  {String} password  Password of the user
+     * @return {Promise}          User object if it gets created or empty object if already exists
+     */
+    createUser(username, password) {
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/users/create?login=${username}&name=${username}&password=${password}`,
+                username: this.adminToken,
+                idempotent: true
+            })
+            .catch(err => {
+                if (err instanceof SonarConflictError) {
+                    return {};
+                }
+
+                throw wrapError(err, `Failed to create user ${username}: ${err.message}`, { operation: 'createUser' });
+            });
+    }
+
+    /**
+     * List the ALM settings (Git Apps) of SonarQube
+     * The list rarely changes and is cached for almSettingsTtl
+     * @method listAlmSettings
+     * @return {Promise}    ALM settings, with key and alm
+     */
+    async listAlmSettings() {
+        const cacheKey = ['almSettings', this.sonarHost].join('|');
+        const cached = await this._getCached(cacheKey, this.almSettingsTtl);
+
+        if (cached) {
+            return cached;
+        }
+
+        const { body } = await this.client.request({
+            method: 'GET',
+            url: `${this.sonarHost}/api/alm_settings/list`,
+            username: this.adminToken
+        });
+
+        return this._setCached(cacheKey, (body && body.almSettings) || [], this.almSettingsTtl);
+    }
+
+    /**
+     * Returns the configured ALM setting (Git App) for the given SCM context
+     * @param {String} scmContext SCM context in format "scm:host" (e.g., "github:github.com")
+     * @returns {Object} ALM setting key and ALM type
+     */
+    async _getAlmSetting(scmContext) {
+        const [scm, scmHost] = scmContext && scmContext.includes(':') ? scmContext.split(':') : [undefined, scmContext];
+        const defaultSetting = { key: this.sonarGitAppName, alm: getScmAlm(scm, scmHost) };
+
+        if (!scmHost) {
+            logger.error('Invalid scmContext provided; using default Git App name');
+
+            return defaultSetting;
+        }
+
+        const almSettings = await this.listAlmSettings();
+
+        if (almSettings.length === 0) {
+            logger.error('No ALM settings found in SonarQube; using default Git App name');
+
+            return defaultSetting;
+        }
+
+        const gitAppSetting =
+            almSettings.length === 1 ? almSettings[0] : almSettings.find(app => app.key.endsWith(`[${scmHost}]`));
+
+        if (!gitAppSetting) {
+            const availableKeys = almSettings.map(app => app.key).join(', ');
+
+            logger.error(
+                `Git App for scm '[${scmHost}]' not found in SonarQube. Available keys: ${availableKeys}. Using default Git App name`
+            );
+
+            return defaultSetting;
+        }
+
+        return {
+            key: gitAppSetting.key,
+            alm: ALM_BINDINGS[gitAppSetting.alm] ? gitAppSetting.alm : defaultSetting.alm
+        };
+    }
+
+    /**
+     * Configure Git App in SonarQube
+     * - binds the project to the repository if it is not bound yet
+     * - updates the binding if the repository has been renamed or its monorepo mode has changed
+     * The binding endpoint depends on the ALM type of the setting (GitHub, GitLab, Bitbucket or Azure DevOps)
+     * In monorepo mode, several Sonar projects share the repository and PR decorations get one section per project
+     * @param  {String}  projectKey   Sonar project key
+     * @param  {String}  projectName  Repository name (pipeline name), without the job name of job scoped projects
+     * @param  {String}  scmContext   SCM context (github:github.com, gitlab:gitlab.com or bitbucket:bitbucket.org)
+     * @param  {Boolean} [monorepo]   If the repository is bound as a monorepo, plugin config if not set
+     * @return {Promise}              Object with the binding status (created, renamed, updated, unchanged, skipped
+     *                                or failed), the repository and the previous repository if it has been renamed
+     */
+    async configureGitApp(projectKey, projectName, scmContext, monorepo = this.sonarMonorepo) {
+        const server = this.getServer({ scmContext, pipelineName: projectName });
+
+        if (server !== this) {
+            return server.configureGitApp(projectKey, projectName, scmContext, monorepo);
+        }
+
+        if (!this.compatibility.almSettings) {
+            return { status: 'skipped' };
+        }
+
+        const { key: gitApp, alm } = await this._getAlmSetting(scmContext);
+        const almBinding = ALM_BINDINGS[alm];
+        const gitAppEncoded = encodeURIComponent(gitApp);
+        const componentId = encodeURIComponent(projectKey);
+        let binding;
+
+        // Check if binding exists, Sonar returns 404 for projects that are not bound
+        try {
+            binding = await this.client
+                .request({
+                    method: 'GET',
+                    url: `${this.sonarHost}/api/alm_settings/get_binding?project=${componentId}`,
+                    username: this.adminToken
+                })
+                .then(result => hoek.reach(result, 'body') || {});
+        } catch (err) {
+            if (!(err instanceof SonarNotFoundError)) {
+                // the binding is unknown, binding again could overwrite it
+                logger.error(`Failed to get binding of Sonar project ${projectKey}: ${err.message}`);
+
+                return { status: 'failed' };
+            }
+
+            binding = null;
+        }
+
+        const previousRepository = binding && binding.repository ? almBinding.name(binding) : undefined;
+        let fields = projectName ? almBinding.fields(projectName) : {};
+        let status = 'created';
+
+        if (alm === 'gitlab' && this.sonarEnterprise && projectName) {
+            try {
+                const projectId = await this._getGitlabProjectId(gitApp, projectName);
+
+                if (!projectId) {
+                    logger.warn(`GitLab project ${projectName} is not found with Git App ${gitApp}, skipping binding`);
+
+                    return { status: 'skipped', repository: previousRepository };
+                }
+
+                fields = almBinding.fields(projectId);
+            } catch (err) {
+                logger.error(`Failed to get ID of GitLab project ${projectName}: ${err.message}`);
+
+                return { status: 'failed', repository: previousRepository };
+            }
+        }
+
+        if (binding) {
+            const renamed = Object.keys(fields).some(field => binding[field] !== fields[field]);
+
+            if (!projectName || (!renamed && !!binding.monorepo === monorepo)) {
+                return { status: 'unchanged', repository: previousRepository };
+            }
+
+            status = renamed ? 'renamed' : 'updated';
+        }
+
+        // only log the changes that are made
+        if (!this.sonarEnterprise || !projectName) {
+            return { status: 'skipped', repository: previousRepository };
+        }
+
+        logger.info(
+            {
+                created: `Binding does not exist for Sonar project ${projectKey}, adding`,
+                renamed: `Repository of Sonar project ${projectKey} has been renamed from ${previousRepository} to ${projectName}, updating binding`,
+                updated: `Monorepo mode of Sonar project ${projectKey} has changed to ${monorepo}, updating binding`
+            }[status]
+        );
+
+        const parameters = `almSetting=${gitAppEncoded}&project=${componentId}&${almBinding.parameters(
+            fields
+        )}&monorepo=${monorepo}`;
+
+        logger.info(`Configuring git app with following parameters, ${parameters}`);
+
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/alm_settings/${almBinding.endpoint}?${parameters}`,
+                username: this.adminToken,
+                idempotent: true
+            })
+            .then(() => ({ status, repository: projectName, previousRepository }))
+            .catch(error => {
+                // if cannot configure app, do not throw err
+                logger.error(`Failed to configure Git App ${gitApp} for Sonar project ${projectKey}: ${error.message}`);
+
+                return { status: 'failed', repository: previousRepository };
+            });
+    }
+
+    /**
+     * Get the ID of a GitLab project, which Sonar binds projects to
+     * Sonar searches GitLab with the personal access token of the admin user for the ALM setting (SonarQube 8.5+)
+     * @method _getGitlabProjectId
+     * @param  {String} almSetting    Key of the GitLab ALM setting
+     * @param  {String} projectName   GitLab project path (e.g. group/project)
+     * @return {Promise}              Project ID, undefined if the project is not found
+     */
+    _getGitlabProjectId(almSetting, projectName) {
+        const slug = projectName.split('/').pop();
+
+        return this.client
+            .request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/alm_integrations/search_gitlab_repos?almSetting=${encodeURIComponent(
+                    almSetting
+                )}&projectName=${encodeURIComponent(slug)}&ps=100`,
+                username: this.adminToken
+            })
+            .then(result => {
+                const project = (hoek.reach(result, 'body.repositories') || []).find(
+                    ({ pathSlug, slug: projectSlug }) => `${pathSlug}/${projectSlug}` === projectName
+                );
+
+                return project ? String(project.id) : undefined;
+            });
+    }
+
+    /**
+     * Associate a quality gate with a project
+     * @method selectQualityGate
+     * @param  {String} projectKey    Unique identifier for the project
+     * @param  {String} gateName      Name of the quality gate
+     * @return {Promise}              Nothing if the quality gate is selected
+     */
+    selectQualityGate(projectKey, gateName) {
+        const gateNameEncoded = encodeURIComponent(gateName);
+
+        return this.client
+            .request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/qualitygates/show?name=${gateNameEncoded}`,
+                username: this.adminToken
+            })
+            .catch(err => {
+                if (err instanceof SonarNotFoundError) {
+                    throw wrapError(err, `Quality gate ${gateName} does not exist in SonarQube`, {
+                        operation: 'selectQualityGate',
+                        projectKey
+                    });
+                }
+
+                throw wrapError(err, `Failed to get quality gate ${gateName}: ${err.message}`, {
+                    operation: 'selectQualityGate',
+                    projectKey
+                });
+            })
+            .then(() =>
+                this.client
+                    .request({
+                        method: 'POST',
+                        url: `${this.sonarHost}/api/qualitygates/select?gateName=${gateNameEncoded}&projectKey=${projectKey}`,
+                        username: this.adminToken,
+                        idempotent: true
+                    })
+                    .catch(err => {
+                        throw wrapError(
+                            err,
+                            `Failed to select quality gate ${gateName} for project ${projectKey}: ${err.message}`,
+                            { operation: 'selectQualityGate', projectKey }
+                        );
+                    })
+            );
+    }
+
+    /**
+     * Associate a quality profile of a language with a project
+     * @method addQualityProfile
+     * @param  {String} projectKey    Unique identifier for the project
+     * @param  {String} language      Language key of the profile (e.g. js, java)
+     * @param  {String} profileName   Name of the quality profile
+     * @return {Promise}              Nothing if the quality profile is added
+     */
+    addQualityProfile(projectKey, language, profileName) {
+        const parameters = `language=${encodeURIComponent(language)}&qualityProfile=${encodeURIComponent(profileName)}`;
+
+        return this.client
+            .request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/qualityprofiles/search?${parameters}`,
+                username: this.adminToken
+            })
+            .then(result => {
+                if ((hoek.reach(result, 'body.profiles') || []).length === 0) {
+                    throw new SonarNotFoundError(
+                        `Quality profile ${profileName} does not exist for language ${language}`,
+                        {
+                            operation: 'addQualityProfile',
+                            projectKey
+                        }
+                    );
+                }
+            })
+            .catch(err => {
+                // unknown languages and profiles are rejected with 400 or 404
+                if (err.statusCode === 400 || err.statusCode === 404) {
+                    throw new SonarNotFoundError(
+                        `Quality profile ${profileName} does not exist for language ${language}`,
+                        {
+                            statusCode: err.statusCode,
+                            endpoint: err.endpoint,
+                            operation: 'addQualityProfile',
+                            projectKey,
+                            cause: err
+                        }
+                    );
+                }
+
+                throw err instanceof SonarNotFoundError
+                    ? err
+                    : wrapError(err, `Failed to get quality profile ${profileName}: ${err.message}`, {
+                          operation: 'addQualityProfile',
+                          projectKey
+                      });
+            })
+            .then(() =>
+                this.client
+                    .request({
+                        method: 'POST',
+                        url: `${this.sonarHost}/api/qualityprofiles/add_project?${parameters}&project=${projectKey}`,
+                        username: this.adminToken,
+                        idempotent: true
+                    })
+                    .catch(err => {
+                        throw wrapError(
+                            err,
+                            `Failed to add quality profile ${profileName} to project ${projectKey}: ${err.message}`,
+                            { operation: 'addQualityProfile', projectKey }
+                        );
+                    })
+            );
+    }
+
+    /**
+     * Associate the quality gate and quality profiles chosen by the pipeline with a project
+     * @method configureQualitySettings
+     * @param  {String} projectKey                Unique identifier for the project
+     * @param  {Object} config
+     * @param  {String} [config.qualityGate]      Name of the quality gate
+     * @param  {Object} [config.qualityProfiles]  Names of the quality profiles by language
+     * @return {Promise}                          Nothing if every setting is associated
+     */
+    configureQualitySettings(projectKey, { qualityGate, qualityProfiles = {} }) {
+        const gatePromise = qualityGate ? this.selectQualityGate(projectKey, qualityGate) : Promise.resolve();
+
+        return gatePromise.then(() =>
+            Promise.all(
+                Object.keys(qualityProfiles).map(language =>
+                    this.addQualityProfile(projectKey, language, qualityProfiles[language])
+                )
+            )
+        );
+    }
+
+    /**
+     * Give specific user push access to the project
+     * @method grantUserPermission
+     * @param  {String} username      Username of the user
+     * @param  {String} projectKey    Unique identifier for the project
+     * @return {Promise}              Nothing if permission granted
+     */
+    grantUserPermission(username, projectKey) {
+        // Always return 204 even with duplicate calls
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/permissions/add_user?login=${username}&permission=scan&projectKey=${projectKey}`,
+                username: this.adminToken,
+                idempotent: true
+            })
+            .catch(err => {
+                throw wrapError(err, `Failed to grant user ${username} permission: ${err.message}`, {
+                    operation: 'grantUserPermission',
+                    projectKey
+                });
+            });
+    }
+
+    /**
+     * Apply a permission template to a project
+     * @method applyPermissionTemplate
+     * @param  {String} projectKey     Unique identifier for the project
+     * @param  {String} templateName   Name of the permission template
+     * @return {Promise}               Nothing if the template is applied
+     */
+    applyPermissionTemplate(projectKey, templateName) {
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/permissions/apply_template?projectKey=${projectKey}&templateName=${encodeURIComponent(
+                    templateName
+                )}`,
+                username: this.adminToken,
+                idempotent: true
+            })
+            .catch(err => {
+                throw wrapError(
+                    err,
+                    `Failed to apply permission template ${templateName} to project ${projectKey}: ${err.message}`,
+                    { operation: 'applyPermissionTemplate', projectKey }
+                );
+            });
+    }
+
+    /**
+     * Give a group permissions on the project
+     * Groups that do not exist in sonar are skipped
+     * @method grantGroupPermissions
+     * @param  {String}   projectKey    Unique identifier for the project
+     * @param  {String}   groupName     Name of the group
+     * @param  {String[]} permissions   Project permissions (e.g. user, codeviewer, issueadmin)
+     * @return {Promise}                Nothing if permissions are granted
+     */
+    grantGroupPermissions(projectKey, groupName, permissions) {
+        const groupNameEncoded = encodeURIComponent(groupName);
+
+        // Always return 204 even with duplicate calls
+        return Promise.all(
+            permissions.map(permission =>
+                this.client.request({
+                    method: 'POST',
+                    url: `${this.sonarHost}/api/permissions/add_group?groupName=${groupNameEncoded}&permission=${permission}&projectKey=${projectKey}`,
+                    username: this.adminToken,
+                    idempotent: true
+                })
+            )
+        ).catch(err => {
+            if (err instanceof SonarNotFoundError || (err.statusCode === 400 && /group/i.test(err.message))) {
+                logger.warn(`Group ${groupName} does not exist in SonarQube, skipping permissions of ${projectKey}`);
+
+                return;
+            }
+
+            throw wrapError(err, `Failed to grant group ${groupName} permissions: ${err.message}`, {
+                operation: 'grantGroupPermissions',
+                projectKey
+            });
+        });
+    }
+
+    /**
+     * Provision the permissions of a project:
+     * - apply the configured permission template if the project has just been created
+     * - grant the configured group permissions
+     * @method configurePermissions
+     * @param  {String}  projectKey             Unique identifier for the project
+     * @param  {Object}  config
+     * @param  {String}  [config.pipelineName]  Screwdriver pipeline name, used in group names
+     * @param  {Boolean} [config.created]       If the project has just been created
+     * @return {Promise}                        Nothing if permissions are provisioned
+     */
+    configurePermissions(projectKey, { pipelineName, created }) {
+        const templatePromise =
+            created && this.permissionTemplate
+                ? this.applyPermissionTemplate(projectKey, this.permissionTemplate)
+                : Promise.resolve();
+
+        return templatePromise.then(() =>
+            Promise.all(
+                this.groupPermissions.map(({ group, permissions }) =>
+                    this.grantGroupPermissions(projectKey, getGroupName(group, pipelineName), permissions)
+                )
+            )
+        );
+    }
+
+    /**
+     * Generate an access token for the given user
+     * The token expires after the configured retention period
+     * @method generateToken
+     * @param  {String} username     Username of the user
+     * @param  {String} [tokenName]  Name of the token, random if not set
+     * @return {Promise}             Object with a token field
+     */
+    generateToken(username, tokenName = getBuildTokenName()) {
+        return this._generateToken(`login=${username}`, username, tokenName).catch(err => {
+            throw wrapError(err, `Failed to generate user ${username} token: ${err.message}`, {
+                operation: 'generateToken'
+            });
+        });
+    }
+
+    /**
+     * Generate a project analysis token for the given project
+     * The token belongs to the admin user and expires after the configured retention period
+     * @method generateProjectToken
+     * @param  {String} projectKey   Unique identifier for the project
+     * @param  {String} [tokenName]  Name of the token, random if not set
+     * @return {Promise}             Object with a token field
+     */
+    generateProjectToken(projectKey, tokenName = getBuildTokenName()) {
+        const parameters = `type=PROJECT_ANALYSIS_TOKEN&projectKey=${encodeURIComponent(projectKey)}`;
+
+        return this._generateToken(parameters, undefined, tokenName).catch(err => {
+            throw wrapError(err, `Failed to generate project ${projectKey} analysis token: ${err.message}`, {
+                operation: 'generateProjectToken',
+                projectKey
+            });
+        });
+    }
+
+    /**
+     * Generate a token, replacing an existing token with the same name
+     * @param  {String} parameters   Owner parameters of the token
+     * @param  {String} [username]   Username of the token owner, the admin user if not set
+     * @param  {String} tokenName    Name of the token
+     * @return {Promise}             Object with a token field
+     */
+    _generateToken(parameters, username, tokenName) {
+        const expirationDate = new Date(Date.now() + this.tokenRetentionDays * DAY_IN_MS).toISOString().slice(0, 10);
+        // older servers do not expire tokens, they are swept by the next builds
+        const expiration = this.compatibility.tokenExpiration ? `&expirationDate=${expirationDate}` : '';
+        const generate = () =>
+            this.client.request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/user_tokens/generate?${parameters}&name=${encodeURIComponent(
+                    tokenName
+                )}${expiration}`,
+                username: this.adminToken,
+                idempotent: true
+            });
+
+        return generate().catch(err => {
+            // a retried build asks for the same token again, replace it
+            if (err instanceof SonarConflictError) {
+                return this.revokeToken(username, tokenName).then(generate);
+            }
+
+            throw err;
+        });
+    }
+
+    /**
+     * List the access tokens of the given user
+     * @method listTokens
+     * @param  {String} [username]   Username of the user, the admin user if not set
+     * @return {Promise}             Array of user tokens, empty if the user does not exist
+     */
+    listTokens(username) {
+        return this.client
+            .request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/user_tokens/search${username ? `?login=${username}` : ''}`,
+                username: this.adminToken
+            })
+            .then(result => hoek.reach(result, 'body.userTokens') || [])
+            .catch(err => {
+                if (err instanceof SonarNotFoundError) {
+                    return [];
+                }
+
+                throw wrapError(err, `Failed to list user ${username || 'admin'} tokens: ${err.message}`, {
+                    operation: 'listTokens'
+                });
+            });
+    }
+
+    /**
+     * Revoke an access token of the given user
+     * @method revokeToken
+     * @param  {String} [username]  Username of the user, the admin user if not set
+     * @param  {String} tokenName   Name of the token
+     * @return {Promise}            Nothing if the token is revoked
+     */
+    revokeToken(username, tokenName) {
+        const login = username ? `login=${username}&` : '';
+
+        // Always return 204 even if the token does not exist
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/user_tokens/revoke?${login}name=${encodeURIComponent(tokenName)}`,
+                username: this.adminToken
+            })
+            .catch(err => {
+                throw wrapError(
+                    err,
+                    `Failed to revoke user ${username || 'admin'} token ${tokenName}: ${err.message}`,
+                    { operation: 'revokeToken' }
+                );
+            });
+    }
+
+    /**
+     * Revoke all access tokens of the given user
+     * @method revokeTokens
+     * @param  {String} username   Username of the user
+     * @return {Promise}           Names of the revoked tokens
+     */
+    revokeTokens(username) {
+        return this.listTokens(username).then(tokens =>
+            Promise.all(tokens.map(({ name }) => this.revokeToken(username, name).then(() => name)))
+        );
+    }
+
+    /**
+     * Revoke the project analysis tokens this plugin generated for a project
+     * @method revokeProjectTokens
+     * @param  {String} projectKey  Unique identifier for the project
+     * @return {Promise}            Names of the revoked tokens
+     */
+    revokeProjectTokens(projectKey) {
+        return this.listTokens().then(tokens =>
+            Promise.all(
+                tokens
+                    .filter(token => isProjectToken(token, projectKey))
+                    .map(({ name }) => this.revokeToken(undefined, name).then(() => name))
+            )
+        );
+    }
+
+    /**
+     * Revoke the stale access tokens of a scoped user or of a project:
+     * - expired tokens
+     * - tokens created before the retention period
+     * - tokens minted for previous builds of the given job
+     * Project analysis tokens belong to the admin user, only the ones generated for the project are swept
+     * @method sweepTokens
+     * @param  {Object}  config
+     * @param  {String}  [config.projectKey]     Sonar project key, used to determine the username
+     * @param  {String}  [config.username]       Username of the user
+     * @param  {Boolean} [config.projectToken]   Sweep the project analysis tokens of the project instead
+     * @param  {String}  [config.jobId]          Screwdriver job ID
+     * @param  {String}  [config.buildId]        Screwdriver build ID, tokens of lower build IDs are revoked
+     * @return {Promise}                         Names of the revoked tokens
+     */
+    sweepTokens({ projectKey, username: tokenUser, projectToken, jobId, buildId }) {
+        let username;
+
+        if (!projectToken) {
+            username = tokenUser || this.getProjectData({ projectKey }).username;
+        }
+
+        const staleBefore = Date.now() - this.tokenRetentionDays * DAY_IN_MS;
+
+        return this.listTokens(username).then(tokens => {
+            const staleTokens = tokens.filter(token => {
+                const { name, isExpired, createdAt } = token;
+                const buildToken = name.match(BUILD_TOKEN_REGEX);
+
+                if (projectToken && !isProjectToken(token, projectKey)) {
+                    return false;
+                }
+                if (isExpired || new Date(createdAt).getTime() < staleBefore) {
+                    return true;
+                }
+
+                return (
+                    !!buildToken &&
+                    !!buildId &&
+                    buildToken[1] === String(jobId) &&
+                    parseInt(buildToken[2], 10) < parseInt(buildId, 10)
+                );
+            });
+
+            return Promise.all(staleTokens.map(({ name }) => this.revokeToken(username, name).then(() => name)));
+        });
+    }
+
+    /**
+     * Get the version of the Sonar server
+     * The version is fetched once and cached, unless it is configured
+     * @method getServerVersion
+     * @return {Promise}    Server version (e.g. 9.9.0.65466)
+     */
+    getServerVersion() {
+        if (this.sonarVersion && this.sonarVersion !== 'auto') {
+            return Promise.resolve(this.sonarVersion);
+        }
+
+        if (!this.serverVersion) {
+            this.serverVersion = this.client
+                .request({
+                    method: 'GET',
+                    url: `${this.sonarHost}/api/system/status`,
+                    username: this.adminToken
+                })
+                .then(result => hoek.reach(result, 'body.version'))
+                .catch(err => {
+                    this.serverVersion = undefined;
+
+                    throw wrapError(err, `Failed to get Sonar server version: ${err.message}`, {
+                        operation: 'getServerVersion'
+                    });
+                });
+        }
+
+        return this.serverVersion;
+    }
+
+    /**
+     * Detect the status, version, edition and features of the Sonar server, and check the admin token
+     * If sonarEnterprise is auto, it is set from the detected edition
+     * If sonarVersion is auto, the APIs and scanner properties to use are selected from the detected version
+     * @method detectServer
+     * @return {Promise}    Object with status (e.g. UP, STARTING), version, edition (community, developer,
+     *                      enterprise or datacenter), tokenValid and features (branches, pullRequests,
+     *                      almBindings and projectTokens)
+     */
+    async detectServer() {
+        const get = endpoint =>
+            this.client
+                .request({
+                    method: 'GET',
+                    url: `${this.sonarHost}${endpoint}`,
+                    username: this.adminToken
+                })
+                .then(result => hoek.reach(result, 'body') || {});
+        let results;
+
+        try {
+            results = await Promise.all([
+                get('/api/system/status'),
+                get('/api/authentication/validate'),
+                get('/api/navigation/global')
+            ]);
+        } catch (err) {
+            throw wrapError(err, `Failed to detect Sonar server ${this.sonarHost}: ${err.message}`, {
+                operation: 'detectServer'
+            });
+        }
+
+        const [{ status, version }, { valid }, { edition = 'community' }] = results;
+        // branches, pull requests and their decoration need a commercial edition
+        const commercial = edition !== 'community';
+
+        this.serverInfo = {
+            status,
+            version,
+            edition,
+            tokenValid: valid === true,
+            features: {
+                branches: commercial,
+                pullRequests: commercial,
+                almBindings: commercial,
+                projectTokens: getCompatibility(version).projectTokens
+            }
+        };
+        this.serverVersion = Promise.resolve(version);
+
+        if (this.sonarVersion === 'auto') {
+            this.compatibility = getCompatibility(version);
+        }
+
+        if (this.autoDetect) {
+            this.sonarEnterprise = commercial;
+        }
+
+        return this.serverInfo;
+    }
+
+    /**
+     * Check the health of the Sonar server and of the routed ones, for the status endpoint of the API
+     * The server is detected again, which also refreshes an auto-detected sonarEnterprise and sonarVersion
+     * @method healthCheck
+     * @return {Promise}    Object with sonarHost, healthy, sonarEnterprise, circuitBreaker (open or closed),
+     *                      the detectServer results or the error, and the health of the routed servers by name
+     */
+    async healthCheck() {
+        const health = {
+            sonarHost: this.sonarHost,
+            healthy: false
+        };
+
+        try {
+            const server = await this.detectServer();
+
+            Object.assign(health, server, { healthy: server.status === 'UP' && server.tokenValid });
+        } catch (err) {
+            health.error = err.message;
+        }
+
+        health.sonarEnterprise = this.sonarEnterprise;
+        health.circuitBreaker = this.client.isOpen() ? 'open' : 'closed';
+
+        const names = Object.keys(this.sonarServers);
+
+        if (names.length > 0) {
+            const servers = await Promise.all(names.map(name => this.sonarServers[name].healthCheck()));
+
+            health.servers = {};
+            names.forEach((name, i) => {
+                health.servers[name] = servers[i];
+            });
+            health.healthy = health.healthy && servers.every(server => server.healthy);
+        }
+
+        return health;
+    }
+
+    /**
+     * Determine how build tokens are provisioned:
+     * - user: a synthetic user per project with scan permission and a user token
+     * - project: a project analysis token, no user needed
+     * In auto mode, project analysis tokens are used if the server supports them
+     * @method getProvisioningMode
+     * @return {Promise}    Provisioning mode (user or project)
+     */
+    getProvisioningMode() {
+        if (this.provisioningMode === 'project' && !this.compatibility.projectTokens) {
+            logger.warn(
+                `Sonar ${this.compatibility.version} does not support project analysis tokens; provisioning synthetic users`
+            );
+
+            return Promise.resolve('user');
+        }
+
+        if (this.provisioningMode !== 'auto') {
+            return Promise.resolve(this.provisioningMode);
+        }
+
+        return this.getServerVersion()
+            .then(version => (getCompatibility(version).projectTokens ? 'project' : 'user'))
+            .catch(err => {
+                logger.error(`${err.message}; provisioning synthetic users`);
+
+                return 'user';
+            });
+    }
+
+    /**
+     * Deactivate a user in sonar
+     * @method deactivateUser
+     * @param  {String} username   Username of the user
+     * @return {Promise}           User object if it gets deactivated or empty object if it does not exist
+     */
+    deactivateUser(username) {
+        return this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/users/deactivate?login=${username}`,
+                username: this.adminToken
+            })
+            .catch(err => {
+                if (err instanceof SonarNotFoundError) {
+                    return {};
+                }
+
+                throw wrapError(err, `Failed to deactivate user ${username}: ${err.message}`, {
+                    operation: 'deactivateUser'
+                });
+            });
+    }
+
+    /**
+     * Deprovision a project in sonar: revoke the tokens of its scoped user and its project analysis tokens,
+     * deactivate that user and delete the project
+     * @method deleteProject
+     * @param  {Object} config
+     * @param  {String} config.projectKey       Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String} [config.scmContext]     SCM context, used to route to the Sonar server
+     * @param  {String} [config.pipelineName]   Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                        Object with project key, username and revoked token names
+     */
+    async deleteProject({ projectKey, scmContext, pipelineName }) {
+        const server = this.getServer({ scmContext, pipelineName });
+
+        if (server !== this) {
+            return server.deleteProject({ projectKey });
+        }
+
+        const { username } = this.getProjectData({ projectKey });
+        const revokedTokens = await this.revokeTokens(username);
+
+        if (this.provisioningMode !== 'user') {
+            revokedTokens.push(...(await this.revokeProjectTokens(projectKey)));
+        }
+
+        await this.deactivateUser(username);
+        await this.client
+            .request({
+                method: 'POST',
+                url: `${this.sonarHost}/api/projects/delete?project=${encodeURIComponent(projectKey)}`,
+                username: this.adminToken
+            })
+            .catch(err => {
+                if (err instanceof SonarNotFoundError) {
+                    return {};
+                }
+
+                throw wrapError(err, `Failed to delete project ${projectKey}: ${err.message}`, {
+                    operation: 'deleteProject',
+                    projectKey
+                });
+            });
+
+        // the next build of the project provisions it again
+        await this._setCached(this._getProvisioningCacheKey(projectKey), null, this.provisioningTtl);
+
+        logger.info(`Deleted Sonar project ${projectKey} and deactivated user ${username}`);
+
+        return { projectKey, username, revokedTokens };
+    }
+
+    /**
+     * Deprovision the Sonar projects of a deleted pipeline and/or its jobs
+     * Projects are removed one at a time; a failure is reported and does not stop the others
+     * @method cleanup
+     * @param  {Object}   config
+     * @param  {String}   [config.pipelineId]   Screwdriver pipeline ID (pipeline scope)
+     * @param  {String[]} [config.jobIds]       Screwdriver job IDs (job scope)
+     * @param  {String}   [config.scmContext]   SCM context, used to route to the Sonar server
+     * @param  {String}   [config.pipelineName] Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                        Array of deleteProject results, with an error field on failures
+     */
+    cleanup({ pipelineId, jobIds = [], scmContext, pipelineName }) {
+        const server = this.getServer({ scmContext, pipelineName });
+
+        if (server !== this) {
+            return server.cleanup({ pipelineId, jobIds });
+        }
+
+        const projectKeys = jobIds.map(jobId => `job:${jobId}`);
+
+        if (pipelineId) {
+            projectKeys.unshift(`pipeline:${pipelineId}`);
+        }
+
+        return projectKeys.reduce(
+            (chain, projectKey) =>
+                chain.then(results =>
+                    this.deleteProject({ projectKey })
+                        .catch(err => {
+                            logger.error(`Failed to clean up Sonar project ${projectKey}: ${err.message}`);
+
+                            return { projectKey, error: err.message };
+                        })
+                        .then(result => results.concat(result))
+                ),
+            Promise.resolve([])
+        );
+    }
+
+    /**
+     * Get metrics for a project
+     * @method getMetrics
+     * @param  {Object} config
+     * @param  {String} config.projectKey   Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String} config.startTime    Job start time
+     * @param  {String} config.endTime      Job end time
+     * @param  {String} [config.prNum]      Pull request number
+     * @param  {String} [config.branch]     Branch name, for non pull request builds
+     * @param  {Array}  [config.metrics]    Other Sonar metrics to return, instead of the configured ones
+     * @param  {String} [config.ceTaskId]   Sonar background task ID of the build analysis, the job start and
+     *                                      end times are used to find the analysis if it is not known
+     * @param  {String} [config.scmContext] SCM context, used to route to the Sonar server
+     * @param  {String} [config.pipelineName] Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                    Object with coverage percentage, tests success percentage,
+     *                                      typed measures, quality gate status and analysis status
+     */
+    async getMetrics({
+        projectKey,
+        startTime,
+        endTime,
+        prNum,
+        branch,
+        sonarEnterprise: enterpriseEnabled,
+        metrics = this.metrics,
+        ceTaskId,
+        scmContext,
+        pipelineName
+    }) {
+        const server = this.getServer({ scmContext, pipelineName });
+
+        if (server !== this) {
+            return server.getMetrics({
+                projectKey,
+                startTime,
+                endTime,
+                prNum,
+                branch,
+                sonarEnterprise: server.sonarEnterprise,
+                metrics,
+                ceTaskId
+            });
+        }
+
+        const metricKeys = [...new Set(DEFAULT_METRICS.concat(metrics))].join(',');
+        const branchParameters = getBranchParameters({ enterpriseEnabled, prNum, branch });
+        const cacheKey = this._getMetricsCacheKey({
+            projectKey,
+            startTime,
+            endTime,
+            branchParameters,
+            ceTaskId,
+            metricKeys
+        });
+        const cached = await this._getCached(cacheKey);
+
+        if (cached) {
+            return cached;
+        }
+
+        const notAvailable = {
+            tests: 'N/A',
+            coverage: 'N/A',
+            measures: {}
+        };
+        const { task, ...analysis } = ceTaskId
+            ? await this.getAnalysis(ceTaskId).catch(err => {
+                  logger.warn(`${err.message}, falling back to the build window`);
+
+                  return {};
+              })
+            : {};
+
+        if (!analysis.date && !(startTime && endTime)) {
+            return {
+                ...notAvailable,
+                qualityGate: { status: 'N/A', conditions: [] },
+                ...getAnalysisStatus(task, false)
+            };
+        }
+
+        const componentId = encodeURIComponent(projectKey);
+        // the analysis of the build is matched by its date, otherwise the latest one in the build window is used
+        const from = analysis.date ? encodeURIComponent(analysis.date) : toSonarTime(startTime);
+        const to = analysis.date ? from : toSonarTime(endTime);
+        const coverageUrl = `${this.sonarHost}/api/measures/search_history?component=${componentId}&metrics=${metricKeys}&from=${from}&to=${to}&ps=1${branchParameters}`;
+
+        const metricsPromise = this.client
+            .request({
+                method: 'GET',
+                url: coverageUrl,
+                username: this.adminToken
+            })
+            .then(result => {
+                const measures = {};
+
+                // measures in result is an array, covert it to an object with metric name as key
+                (hoek.reach(result, 'body.measures') || []).forEach(measure => {
+                    measures[measure.metric] = measure;
+                });
+
+                return toMetricsValues(measures);
+            })
+            .catch(err => {
+                // if there is no coverage measurement target, 404 and 'Component key not found' are returned and this is not an error
+                if (!(err instanceof SonarNotFoundError) || !/Component key '.*' not found/.test(err.message)) {
+                    // if cannot get coverage, do not throw err
+                    logger.error(
+                        `Failed to get coverage and tests percentage for Sonar project ${projectKey}: ${err.message}`
+                    );
+                }
+
+                return notAvailable;
+            });
+
+        return Promise.all([
+            metricsPromise,
+            this.getQualityGate({
+                projectKey,
+                startTime,
+                endTime,
+                prNum,
+                branch,
+                sonarEnterprise: enterpriseEnabled,
+                analysisId: analysis.analysisId
+            })
+        ]).then(([values, qualityGate]) =>
+            (task ? Promise.resolve(task) : this.getLatestTask({ projectKey, startTime, endTime })).then(buildTask => {
+                const result = {
+                    ...values,
+                    qualityGate,
+                    ...getAnalysisStatus(buildTask, values.coverage !== 'N/A')
+                };
+
+                return this._setCached(cacheKey, result, this._getMetricsTtl(result));
+            })
+        );
+    }
+
+    /**
+     * Get the cache key of the metrics of a build
+     * @method _getMetricsCacheKey
+     * @param  {Object} config
+     * @param  {String} config.projectKey           Sonar project key
+     * @param  {String} [config.startTime]          Job start time
+     * @param  {String} [config.endTime]            Job end time
+     * @param  {String} [config.branchParameters]   Pull request or branch parameters
+     * @param  {String} [config.ceTaskId]           Sonar background task ID
+     * @param  {String} config.metricKeys           Sonar metrics
+     * @return {String}                             Cache key
+     */
+    _getMetricsCacheKey({ projectKey, startTime, endTime, branchParameters, ceTaskId, metricKeys }) {
+        return ['metrics', this.sonarHost, projectKey, startTime, endTime, branchParameters, ceTaskId, metricKeys]
+            .map(part => part || '')
+            .join('|');
+    }
+
+    /**
+     * Get the number of seconds the metrics of a build are cached
+     * Results of finished analyses do not change, N/A and pending ones are refreshed sooner
+     * @method _getMetricsTtl
+     * @param  {Object} result  getMetrics result
+     * @return {Number}         Seconds, 0 if the cache is disabled
+     */
+    _getMetricsTtl(result) {
+        if (!this.cacheTtl) {
+            return 0;
+        }
+
+        return isFinalResult(result) ? this.cacheTtl : this.cachePendingTtl;
+    }
+
+    /**
+     * Get a result from the cache, cache errors are logged and treated as misses
+     * @method _getCached
+     * @param  {String} key     Cache key
+     * @param  {Number} [ttl]   Seconds results are cached, nothing is looked up if it is 0
+     * @return {Promise}        Cached result, undefined if there is none
+     */
+    _getCached(key, ttl = this.cacheTtl) {
+        if (!ttl) {
+            return Promise.resolve(undefined);
+        }
+
+        return Promise.resolve()
+            .then(() => this.cache.get(key))
+            .then(value => value || undefined)
+            .catch(err => {
+                logger.warn(`Failed to get ${key} from the cache: ${err.message}`);
+
+                return undefined;
+            });
+    }
+
+    /**
+     * Put a result in the cache, cache errors are logged and ignored
+     * @method _setCached
+     * @param  {String}  key    Cache key
+     * @param  {Object}  value  Result
+     * @param  {Number}  ttl    Seconds the result is cached, nothing is stored if it is 0
+     * @return {Promise}        The result
+     */
+    _setCached(key, value, ttl) {
+        if (!ttl) {
+            return Promise.resolve(value);
+        }
+
+        return Promise.resolve()
+            .then(() => this.cache.set(key, value, ttl))
+            .catch(err => {
+                logger.warn(`Failed to set ${key} in the cache: ${err.message}`);
+            })
+            .then(() => value);
+    }
+
+    /**
+     * Get the metrics of many builds at once, e.g. of every job of an event
+     * The latest measures of projects whose last analysis is in the build window are searched together, without
+     * quality gate conditions, the metrics of other builds (pull requests, older builds) are fetched one by one
+     * @method getBatchMetrics
+     * @param  {Object}   config
+     * @param  {Object[]} config.entries        Builds, with projectKey, startTime, endTime, prNum, branch,
+     *                                          ceTaskId, scmContext and pipelineName like getMetrics
+     * @param  {Number}   [config.concurrency]  Maximum number of builds whose metrics are fetched at once
+     * @param  {Array}    [config.metrics]      Other Sonar metrics to return, instead of the configured ones
+     * @return {Promise}                        getMetrics results in the order of the entries
+     */
+    async getBatchMetrics({ entries, concurrency = DEFAULT_BATCH_CONCURRENCY, metrics = this.metrics }) {
+        const groups = new Map();
+
+        // builds of different servers are fetched by their server, results are put back at their index
+        entries.forEach((entry, index) => {
+            const server = this.getServer(entry);
+
+            groups.set(server, (groups.get(server) || []).concat(index));
+        });
+
+        const results = new Array(entries.length);
+
+        await Promise.all(
+            [...groups].map(([server, indexes]) => {
+                const group = indexes.map(index => entries[index]);
+                const groupResults =
+                    server !== this
+                        ? server.getBatchMetrics({ entries: group, concurrency, metrics })
+                        : this._getBatchMetrics(group, concurrency, metrics);
+
+                return groupResults.then(resultList =>
+                    resultList.forEach((result, i) => {
+                        results[indexes[i]] = result;
+                    })
+                );
+            })
+        );
+
+        return results;
+    }
+
+    /**
+     * Get the metrics of many builds of this Sonar server
+     * @method _getBatchMetrics
+     * @param  {Object[]} entries       Builds
+     * @param  {Number}   concurrency   Maximum number of builds whose metrics are fetched at once
+     * @param  {Array}    metrics       Other Sonar metrics to return
+     * @return {Promise}                getMetrics results in the order of the entries
+     */
+    async _getBatchMetrics(entries, concurrency, metrics) {
+        const metricKeys = [...new Set(DEFAULT_METRICS.concat(metrics))].join(',');
+        const results = new Array(entries.length);
+        const misses = [];
+
+        await Promise.all(
+            entries.map((entry, index) => {
+                // searched results have no quality gate conditions nor task status, they are not getMetrics results
+                const cacheKey = [
+                    'batch',
+                    this._getMetricsCacheKey({
+                        ...entry,
+                        branchParameters: getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, ...entry }),
+                        metricKeys
+                    })
+                ].join('|');
+
+                return this._getCached(cacheKey).then(cached => {
+                    if (cached) {
+                        results[index] = cached;
+                    } else {
+                        misses.push({ ...entry, cacheKey, index });
+                    }
+                });
+            })
+        );
+
+        // only the latest measures of main branches can be searched together
+        const searchable = misses.filter(
+            entry =>
+                entry.startTime &&
+                entry.endTime &&
+                !entry.ceTaskId &&
+                !getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, ...entry })
+        );
+        const projectKeys = [...new Set(searchable.map(({ projectKey }) => projectKey))];
+        const chunks = [];
+
+        for (let i = 0; i < projectKeys.length; i += MEASURES_SEARCH_MAX_PROJECTS) {
+            chunks.push(projectKeys.slice(i, i + MEASURES_SEARCH_MAX_PROJECTS));
+        }
+
+        const projects = {};
+
+        await mapWithConcurrency(chunks, concurrency, chunk => {
+            const keys = chunk.map(encodeURIComponent).join(',');
+
+            return Promise.all([
+                this.client.request({
+                    method: 'GET',
+                    url: `${this.sonarHost}/api/projects/search?projects=${keys}&ps=${MEASURES_SEARCH_MAX_PROJECTS}`,
+                    username: this.adminToken
+                }),
+                this.client.request({
+                    method: 'GET',
+                    url: `${this.sonarHost}/api/measures/search?projectKeys=${keys}&metricKeys=${metricKeys},alert_status`,
+                    username: this.adminToken
+                })
+            ])
+                .then(([projectsResult, measuresResult]) => {
+                    (hoek.reach(projectsResult, 'body.components') || []).forEach(({ key, lastAnalysisDate }) => {
+                        projects[key] = { lastAnalysisDate, measures: {} };
+                    });
+                    (hoek.reach(measuresResult, 'body.measures') || []).forEach(({ component, metric, value }) => {
+                        if (projects[component]) {
+                            projects[component].measures[metric] = { history: [{ value }] };
+                        }
+                    });
+                })
+                .catch(err => {
+                    // the builds of these projects are fetched one by one
+                    logger.error(`Failed to search measures of Sonar projects: ${err.message}`);
+                });
+        });
+
+        const remaining = [];
+
+        await Promise.all(
+            misses.map(entry => {
+                const project = searchable.includes(entry) && projects[entry.projectKey];
+                const lastAnalysis = project && new Date(project.lastAnalysisDate).getTime();
+
+                if (
+                    !lastAnalysis ||
+                    lastAnalysis < new Date(entry.startTime).getTime() ||
+                    lastAnalysis > new Date(entry.endTime).getTime()
+                ) {
+                    remaining.push(entry);
+
+                    return Promise.resolve();
+                }
+
+                const result = {
+                    ...toMetricsValues(project.measures),
+                    qualityGate: {
+                        status: hoek.reach(project.measures, 'alert_status.history.0.value') || 'NONE',
+                        conditions: []
+                    },
+                    status: 'success'
+                };
+
+                results[entry.index] = result;
+
+                return this._setCached(entry.cacheKey, result, this._getMetricsTtl(result));
+            })
+        );
+
+        await mapWithConcurrency(remaining, concurrency, ({ cacheKey, index, ...entry }) =>
+            this.getMetrics({ ...entry, sonarEnterprise: this.sonarEnterprise, metrics }).then(result => {
+                results[index] = result;
+            })
+        );
+
+        return results;
+    }
+
+    /**
+     * Get the latest Sonar background task of a project submitted in the build window
+     * @method getLatestTask
+     * @param  {Object} config
+     * @param  {String} config.projectKey   Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String} config.startTime    Job start time
+     * @param  {String} [config.endTime]    Job end time, tasks submitted after it belong to later builds
+     * @return {Promise}                    Sonar background task, null if there is none
+     */
+    getLatestTask({ projectKey, startTime, endTime }) {
+        const end = endTime ? new Date(endTime).getTime() : Infinity;
+
+        return this.client
+            .request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/ce/activity?component=${encodeURIComponent(
+                    projectKey
+                )}&minSubmittedAt=${toSonarTime(startTime)}&status=${Object.keys(TASK_STATUSES).join(',')}&ps=${TASKS_PAGE_SIZE}`,
+                username: this.adminToken
+            })
+            .then(result => {
+                const tasks = hoek.reach(result, 'body.tasks') || [];
 
-        this.uploadCommands = COMMANDS.replace('$SD_SONAR_HOST', this.sonarHost)
-            .replace('$SD_UI_URL', this.config.sdUiUrl)
-            .replace('$SD_SONAR_ENTERPRISE', this.sonarEnterprise)
-            .split('\n');
+                // tasks are listed from the newest
+                return tasks.find(({ submittedAt }) => !submittedAt || new Date(submittedAt).getTime() <= end) || null;
+            })
+            .catch(err => {
+                // a project without analysis is not an error
+                if (!(err instanceof SonarNotFoundError)) {
+                    logger.error(`Failed to get background tasks of Sonar project ${projectKey}: ${err.message}`);
+                }
 
-        this.uploadCommands[this.uploadCommands.length - 1] += ' || true';
+                return null;
+            });
     }
 
     /**
-     * Create a project in sonar
-     * @method createProject
-     * @param  {String} projectKey    Unique identifier for the project
-     * @return {Promise}              Project object if it gets created or empty object if already exists
+     * Get the analysis done by a Sonar background task
+     * @method getAnalysis
+     * @param  {String} ceTaskId    Sonar background task ID, from the report-task.txt file of the scanner
+     * @return {Promise}            Object with the task, and analysis ID and date if the task has succeeded
      */
-    createProject(projectKey) {
-        return request({
-            method: 'POST',
-            url: `${this.sonarHost}/api/projects/create?project=${projectKey}&name=${projectKey}`,
-            username: this.adminToken
-        }).catch(err => {
-            if (err.statusCode === 400 && err.message.includes('already exists')) {
-                return {};
+    async getAnalysis(ceTaskId) {
+        try {
+            const result = await this.client.request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/ce/task?id=${encodeURIComponent(ceTaskId)}`,
+                username: this.adminToken
+            });
+            const task = hoek.reach(result, 'body.task') || null;
+
+            if (!task || task.status !== 'SUCCESS' || !task.analysisId) {
+                return { task };
             }
 
-            throw new Error(`Failed to create project ${projectKey}: ${err.message}`);
-        });
+            let parameters = '';
+
+            if (task.pullRequest) {
+                parameters = `&pullRequest=${encodeURIComponent(task.pullRequest)}`;
+            } else if (task.branch) {
+                parameters = `&branch=${encodeURIComponent(task.branch)}`;
+            }
+
+            // the analysis is created before its report is submitted
+            const analyses = await this.client.request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/project_analyses/search?project=${encodeURIComponent(
+                    task.componentKey
+                )}&to=${encodeURIComponent(task.submittedAt)}${parameters}&ps=100`,
+                username: this.adminToken
+            });
+            const analysis = (hoek.reach(analyses, 'body.analyses') || []).find(({ key }) => key === task.analysisId);
+
+            return analysis ? { task, analysisId: analysis.key, date: analysis.date } : { task };
+        } catch (err) {
+            throw wrapError(err, `Failed to get analysis of Sonar task ${ceTaskId}: ${err.message}`, {
+                operation: 'getAnalysis'
+            });
+        }
     }
 
     /**
-     * Create a user in sonar
-     * @method createUser
-     * @param  {String} username  Username of the user
-     * @param  {String} password  Password of the user
-     * @return {Promise}          User object if it gets created or empty object if already exists
+     * Get the quality gate status of a project
+     * - for the analysis of the build if it is known
+     * - for the pull request if enterprise is enabled
+     * - otherwise for the analysis of the branch done between the job start and end times
+     * @method getQualityGate
+     * @param  {Object} config
+     * @param  {String} config.projectKey   Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String} config.startTime    Job start time
+     * @param  {String} config.endTime      Job end time
+     * @param  {String} [config.prNum]      Pull request number
+     * @param  {String} [config.branch]     Branch name, for non pull request builds
+     * @param  {String} [config.analysisId] Sonar analysis ID of the build
+     * @return {Promise}                    Object with status (OK, ERROR, NONE or N/A) and conditions
      */
-    createUser(username, password) {
-        return request({
-            method: 'POST',
-            url: `${this.sonarHost}/api/users/create?login=${username}&name=${username}&password=${password}`,
-            username: this.adminToken
-        }).catch(err => {
-            if (err.statusCode === 400 && err.message.includes('already exists')) {
-                return {};
-            }
+    getQualityGate({ projectKey, startTime, endTime, prNum, branch, sonarEnterprise: enterpriseEnabled, analysisId }) {
+        const componentId = encodeURIComponent(projectKey);
+        const notAvailable = { status: 'N/A', conditions: [] };
+        let statusPromise;
+
+        if (analysisId) {
+            statusPromise = Promise.resolve(`analysisId=${encodeURIComponent(analysisId)}`);
+        } else if (enterpriseEnabled && prNum) {
+            statusPromise = Promise.resolve(`projectKey=${componentId}&pullRequest=${prNum}`);
+        } else {
+            statusPromise = this.client
+                .request({
+                    method: 'GET',
+                    url: `${this.sonarHost}/api/project_analyses/search?project=${componentId}&from=${toSonarTime(
+                        startTime
+                    )}&to=${toSonarTime(endTime)}&ps=1${getBranchParameters({ enterpriseEnabled, branch })}`,
+                    username: this.adminToken
+                })
+                .then(result => {
+                    const windowAnalysisId = hoek.reach(result, 'body.analyses.0.key');
 
-            throw new Error(`Failed to create user ${username}: ${err.message}`);
-        });
+                    return windowAnalysisId ? `analysisId=${encodeURIComponent(windowAnalysisId)}` : null;
+                });
+        }
+
+        return statusPromise
+            .then(parameters => {
+                if (!parameters) {
+                    return notAvailable;
+                }
+
+                return this.client
+                    .request({
+                        method: 'GET',
+                        url: `${this.sonarHost}/api/qualitygates/project_status?${parameters}`,
+                        username: this.adminToken
+                    })
+                    .then(result => {
+                        const projectStatus = hoek.reach(result, 'body.projectStatus') || {};
+
+                        return {
+                            status: projectStatus.status || 'N/A',
+                            conditions: (projectStatus.conditions || []).map(condition => ({
+                                metric: condition.metricKey,
+                                status: condition.status,
+                                comparator: condition.comparator,
+                                errorThreshold: condition.errorThreshold,
+                                actualValue: condition.actualValue
+                            }))
+                        };
+                    });
+            })
+            .catch(err => {
+                // a project without analysis is not an error
+                if (!(err instanceof SonarNotFoundError)) {
+                    logger.error(`Failed to get quality gate status for Sonar project ${projectKey}: ${err.message}`);
+                }
+
+                return notAvailable;
+            });
     }
 
     /**
-     * Returns the configured Git App name for the given SCM context
-     * @param {String} scmContext SCM context in format "scm:host" (e.g., "github:github.com")
-     * @returns {String} Git App name
+     * Get the history of metrics of a project as time series, oldest first
+     * @method getHistory
+     * @param  {Object}   config
+     * @param  {String}   [config.projectKey]   Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String}   [config.pipelineId]   Screwdriver pipeline ID, for pipeline scope without projectKey
+     * @param  {String}   [config.jobId]        Screwdriver job ID, for job scope without projectKey
+     * @param  {String}   [config.from]         Start time of the history
+     * @param  {String}   [config.to]           End time of the history
+     * @param  {String[]} [config.metrics]      Sonar metrics, coverage and tests ones by default
+     * @param  {String}   [config.branch]       Branch name, if enterprise is enabled
+     * @param  {String}   [config.scmContext]   SCM context, used to route to the Sonar server
+     * @param  {String}   [config.pipelineName] Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                        Object with project key, series of {date, value} points with
+     *                                          their unit by metric, and if the history was truncated
      */
-    async _getGitApp(scmContext) {
-        const scmHost = scmContext && scmContext.includes(':') ? scmContext.split(':')[1] : scmContext;
+    async getHistory({
+        projectKey: historyProjectKey,
+        pipelineId,
+        jobId,
+        from,
+        to,
+        metrics = DEFAULT_METRICS,
+        branch,
+        scmContext,
+        pipelineName
+    }) {
+        const server = this.getServer({ scmContext, pipelineName });
 
-        if (!scmHost) {
-            logger.error('Invalid scmContext provided; using default Git App name');
+        if (server !== this) {
+            return server.getHistory({ projectKey: historyProjectKey, pipelineId, jobId, from, to, metrics, branch });
+        }
 
-            return this.sonarGitAppName;
+        const projectKey = historyProjectKey || (jobId ? `job:${jobId}` : `pipeline:${pipelineId}`);
+        let url = `${this.sonarHost}/api/measures/search_history?component=${encodeURIComponent(
+            projectKey
+        )}&metrics=${metrics.join(',')}`;
+
+        if (from) {
+            url = url.concat(`&from=${toSonarTime(from)}`);
+        }
+        if (to) {
+            url = url.concat(`&to=${toSonarTime(to)}`);
         }
+        url = url.concat(
+            `${getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, branch })}&ps=${HISTORY_PAGE_SIZE}`
+        );
 
-        const { body } = await request({
-            method: 'GET',
-            url: `${this.sonarHost}/api/alm_settings/list`,
-            username: this.adminToken
+        const series = {};
+
+        metrics.forEach(metric => {
+            series[metric] = { unit: METRIC_UNITS[metric] || null, points: [] };
         });
 
-        const almSettings = (body && body.almSettings) || [];
+        const getPage = page =>
+            this.client
+                .request({
+                    method: 'GET',
+                    url: `${url}&p=${page}`,
+                    username: this.adminToken
+                })
+                .then(result => {
+                    (hoek.reach(result, 'body.measures') || []).forEach(({ metric, history = [] }) => {
+                        history
+                            .filter(({ value }) => value !== undefined && !Number.isNaN(Number(value)))
+                            .forEach(({ date, value }) => {
+                                series[metric].points.push({ date, value: Number(value) });
+                            });
+                    });
+
+                    const total = hoek.reach(result, 'body.paging.total', { default: 0 });
+
+                    if (page * HISTORY_PAGE_SIZE >= total) {
+                        return false;
+                    }
 
-        if (almSettings.length === 0) {
-            logger.error('No ALM settings found in SonarQube; using default Git App name');
+                    if (page >= HISTORY_MAX_PAGES) {
+                        logger.warn(
+                            `History of Sonar project ${projectKey} truncated to ${page} pages of ${total} analyses`
+                        );
 
-            return this.sonarGitAppName;
-        }
-        if (almSettings.length === 1) {
-            return almSettings[0].key;
-        }
+                        return true;
+                    }
 
-        const gitAppSetting = almSettings.find(app => app.key.endsWith(`[${scmHost}]`));
+                    return getPage(page + 1);
+                });
 
-        if (!gitAppSetting) {
-            const availableKeys = almSettings.map(app => app.key).join(', ');
+        try {
+            const truncated = await getPage(1);
 
-            logger.error(
-                `Git App for scm '[${scmHost}]' not found in SonarQube. Available keys: ${availableKeys}. Using default Git App name`
-            );
+            return { projectKey, series, truncated };
+        } catch (err) {
+            // a project without analysis has no history
+            if (err instanceof SonarNotFoundError && /Component key '.*' not found/.test(err.message)) {
+                return { projectKey, series, truncated: false };
+            }
 
-            return this.sonarGitAppName;
+            throw wrapError(err, `Failed to get history of Sonar project ${projectKey}: ${err.message}`, {
+                operation: 'getHistory',
+                projectKey
+            });
         }
-
-        return gitAppSetting.key;
     }
 
     /**
-     * Configure Git App in SonarQube
-     * @param  {String} projectKey  Sonar project key
-     * @param  {String} projectName Sonar project name
-     * @param  {String} scmContext  SCM context (github:github.com or github:github.example.com)
-     * @return {Promise}            Nothing if Git App configured successfully
+     * Get the coverage of the directories and files of a project, for a drill-down view
+     * @method getFileCoverage
+     * @param  {Object}  config
+     * @param  {String}  config.projectKey       Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String}  [config.path]           Directory to drill into, the project root by default
+     * @param  {Boolean} [config.recursive]      Get every file under the directory instead of its children
+     * @param  {String}  [config.query]          Only get components whose name or key contains this text
+     * @param  {String}  [config.sort]           Coverage metric (e.g. coverage, uncovered_lines), name or path
+     *                                           to sort by, coverage by default
+     * @param  {Boolean} [config.asc]            Ascending sort, by default worst-covered components come first
+     *                                           (ascending for coverage, name and path, descending otherwise)
+     * @param  {Number}  [config.page]           Page number, starting at 1
+     * @param  {Number}  [config.pageSize]       Page size, at most 500
+     * @param  {String}  [config.prNum]          Pull request number, if enterprise is enabled
+     * @param  {String}  [config.branch]         Branch name, if enterprise is enabled
+     * @param  {String}  [config.scmContext]     SCM context, used to route to the Sonar server
+     * @param  {String}  [config.pipelineName]   Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                         Object with project key, paging, and components with their path,
+     *                                           qualifier (directory or file) and coverage measures
      */
-    async configureGitApp(projectKey, projectName, scmContext) {
-        const gitApp = await this._getGitApp(scmContext);
-        const gitAppEncoded = encodeURIComponent(gitApp);
-        const componentId = encodeURIComponent(projectKey);
-
-        // Check if binding exists
-        return request({
-            method: 'GET',
-            url: `${this.sonarHost}/api/alm_settings/get_binding?project=${componentId}`,
-            username: this.adminToken
-        })
-            .then(result => {
-                // if project name has been changed, update it
-                if (projectName && (!result.repository || result.repository !== projectName)) {
-                    throw new Error(`Repository name has been changed from ${result.repository} to ${projectName}!`);
-                }
-
-                return result;
-            })
-            .catch(() => {
-                // if binding does not exist, add it
-                logger.info(`Binding does not exist for Sonar project ${projectKey}, adding`);
+    async getFileCoverage({
+        projectKey,
+        path: componentPath,
+        recursive = false,
+        query,
+        sort = 'coverage',
+        asc = ASCENDING_FILE_SORTS.includes(sort),
+        page = 1,
+        pageSize = 100,
+        prNum,
+        branch,
+        scmContext,
+        pipelineName
+    }) {
+        const server = this.getServer({ scmContext, pipelineName });
 
-                if (!this.sonarEnterprise || !projectName) {
-                    return Promise.resolve();
-                }
+        if (server !== this) {
+            return server.getFileCoverage({
+                projectKey,
+                path: componentPath,
+                recursive,
+                query,
+                sort,
+                asc,
+                page,
+                pageSize,
+                prNum,
+                branch
+            });
+        }
 
-                const parameters = `almSetting=${gitAppEncoded}&project=${componentId}&repository=${projectName}&summaryCommentEnabled=true&monorepo=false`;
+        const component = componentPath ? `${projectKey}:${componentPath.replace(/^\/+|\/+$/g, '')}` : projectKey;
+        const size = Math.min(pageSize, COMPONENT_TREE_MAX_PAGE_SIZE);
+        let url = `${this.sonarHost}/api/measures/component_tree?component=${encodeURIComponent(
+            component
+        )}&metricKeys=${FILE_COVERAGE_METRICS.join(',')}&qualifiers=DIR,FIL&strategy=${recursive ? 'all' : 'children'}`;
+
+        if (['name', 'path'].includes(sort)) {
+            url = url.concat(`&s=${sort}`);
+        } else {
+            // components without the measure, like test files, are left out when sorting by measure
+            url = url.concat(`&s=metric&metricSort=${encodeURIComponent(sort)}&metricSortFilter=withMeasuresOnly`);
+        }
+        if (query) {
+            url = url.concat(`&q=${encodeURIComponent(query)}`);
+        }
+        url = url.concat(
+            `&asc=${asc}&p=${page}&ps=${size}${getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, prNum, branch })}`
+        );
 
-                logger.info(`Configuring git app with following parameters, ${parameters}`);
+        try {
+            const result = await this.client.request({
+                method: 'GET',
+                url,
+                username: this.adminToken
+            });
 
-                return request({
-                    method: 'POST',
-                    url: `${this.sonarHost}/api/alm_settings/set_github_binding?${parameters}`,
-                    username: this.adminToken
-                }).catch(error => {
-                    // if cannot configure app, do not throw err
-                    logger.error(
-                        `Failed to configure Git App ${gitApp} for Sonar project ${projectKey}: ${error.message}`
-                    );
+            return {
+                projectKey,
+                paging: {
+                    page: hoek.reach(result, 'body.paging.pageIndex', { default: page }),
+                    pageSize: hoek.reach(result, 'body.paging.pageSize', { default: size }),
+                    total: hoek.reach(result, 'body.paging.total', { default: 0 })
+                },
+                components: (hoek.reach(result, 'body.components') || []).map(treeComponent => {
+                    const values = {};
+
+                    (treeComponent.measures || []).forEach(({ metric, value }) => {
+                        values[metric] = value === undefined ? null : Number(value);
+                    });
+
+                    return {
+                        key: treeComponent.key,
+                        name: treeComponent.name,
+                        path: treeComponent.path,
+                        qualifier: COMPONENT_QUALIFIERS[treeComponent.qualifier] || treeComponent.qualifier,
+                        coverage: hoek.reach(values, 'coverage', { default: null }),
+                        linesToCover: hoek.reach(values, 'lines_to_cover', { default: null }),
+                        uncoveredLines: hoek.reach(values, 'uncovered_lines', { default: null }),
+                        conditionsToCover: hoek.reach(values, 'conditions_to_cover', { default: null }),
+                        uncoveredConditions: hoek.reach(values, 'uncovered_conditions', { default: null })
+                    };
+                })
+            };
+        } catch (err) {
+            // the project or directory has not been analyzed
+            if (err instanceof SonarNotFoundError && /Component key '.*' not found/.test(err.message)) {
+                return { projectKey, paging: { page, pageSize: size, total: 0 }, components: [] };
+            }
 
-                    return Promise.resolve();
-                });
+            throw wrapError(err, `Failed to get file coverage of Sonar project ${projectKey}: ${err.message}`, {
+                operation: 'getFileCoverage',
+                projectKey
             });
+        }
     }
 
     /**
-     * Give specific user push access to the project
-     * @method grantUserPermission
-     * @param  {String} username      Username of the user
-     * @param  {String} projectKey    Unique identifier for the project
-     * @return {Promise}              Nothing if permission granted
+     * Get the issues summary of a project: counts of open issues by type and severity, and the latest new issues
+     * Issues are scoped to the pull request if prNum is set, new issues are the ones of the new code period otherwise
+     * @method getIssues
+     * @param  {Object}  config
+     * @param  {String}  [config.projectKey]     Sonar project key, resolved like getProjectData does if not set
+     * @param  {String}  [config.scope]          Coverage scope (pipeline or job)
+     * @param  {String}  [config.jobId]          Screwdriver job ID
+     * @param  {String}  [config.jobName]        Screwdriver job name
+     * @param  {String}  [config.pipelineId]     Screwdriver pipeline ID
+     * @param  {String}  [config.pipelineName]   Screwdriver pipeline name
+     * @param  {String}  [config.prParentJobId]  Screwdriver PR parent job ID
+     * @param  {String}  [config.prNum]          Pull request number, if enterprise is enabled
+     * @param  {String}  [config.branch]         Branch name, if enterprise is enabled
+     * @param  {Number}  [config.limit]          Number of new issues to return
+     * @param  {String}  [config.scmContext]     SCM context, used to route to the Sonar server
+     * @return {Promise}                         Object with project key, total, counts by type and severity,
+     *                                           and new issues with their file, line, rule, message and link
      */
-    grantUserPermission(username, projectKey) {
-        // Always return 204 even with duplicate calls
-        return request({
-            method: 'POST',
-            url: `${this.sonarHost}/api/permissions/add_user?login=${username}&permission=scan&projectKey=${projectKey}`,
-            username: this.adminToken
-        }).catch(err => {
-            throw new Error(`Failed to grant user ${username} permission: ${err.message}`);
-        });
-    }
+    async getIssues({
+        projectKey: issuesProjectKey,
+        scope,
+        jobId,
+        jobName,
+        pipelineId,
+        pipelineName,
+        prParentJobId,
+        prNum,
+        branch,
+        limit = 10,
+        scmContext
+    }) {
+        const server = this.getServer({ scmContext, pipelineName });
 
-    /**
-     * Generate an access token for the given user
-     * @method generateToken
-     * @param  {String} username   Username of the user
-     * @return {Promise}           Object with a token field
-     */
-    generateToken(username) {
-        const tokenName = uuidv4();
+        if (server !== this) {
+            return server.getIssues({
+                projectKey: issuesProjectKey,
+                scope,
+                jobId,
+                jobName,
+                pipelineId,
+                pipelineName,
+                prParentJobId,
+                prNum,
+                branch,
+                limit
+            });
+        }
 
-        return request({
-            method: 'POST',
-            url: `${this.sonarHost}/api/user_tokens/generate?login=${username}&name=${tokenName}`,
-            username: this.adminToken
-        }).catch(err => {
-            throw new Error(`Failed to generate user ${username} token: ${err.message}`);
+        const { projectKey } = this.getProjectData({
+            enterpriseEnabled: this.sonarEnterprise,
+            scope,
+            jobId,
+            jobName,
+            pipelineId,
+            pipelineName,
+            projectKey: issuesProjectKey,
+            prParentJobId
         });
+        const componentId = encodeURIComponent(projectKey);
+        const branchParameters = getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, prNum, branch });
+        const url = `${this.sonarHost}/api/issues/search?componentKeys=${componentId}&resolved=false${branchParameters}`;
+        // every issue of a pull request is new
+        const newIssuesParameters = branchParameters.startsWith('&pullRequest') ? '' : '&inNewCodePeriod=true';
+        const summary = {
+            projectKey,
+            total: 0,
+            types: {},
+            severities: {},
+            newIssues: []
+        };
+
+        try {
+            const [counts, newIssues] = await Promise.all([
+                this.client.request({
+                    method: 'GET',
+                    url: `${url}&facets=types,severities&ps=1`,
+                    username: this.adminToken
+                }),
+                limit > 0
+                    ? this.client.request({
+                          method: 'GET',
+                          url: `${url}${newIssuesParameters}&s=CREATION_DATE&asc=false&ps=${limit}`,
+                          username: this.adminToken
+                      })
+                    : null
+            ]);
+
+            summary.total = hoek.reach(counts, 'body.paging.total', { default: 0 });
+            (hoek.reach(counts, 'body.facets') || []).forEach(({ property, values = [] }) => {
+                values.forEach(({ val, count }) => {
+                    summary[property][val] = count;
+                });
+            });
+            summary.newIssues = (hoek.reach(newIssues, 'body.issues') || []).map(issue => ({
+                key: issue.key,
+                type: issue.type,
+                severity: issue.severity,
+                rule: issue.rule,
+                message: issue.message,
+                file: issue.component.startsWith(`${projectKey}:`)
+                    ? issue.component.slice(projectKey.length + 1)
+                    : issue.component,
+                line: issue.line || null,
+                link: `${this.sonarHost}/project/issues?id=${componentId}&open=${encodeURIComponent(
+                    issue.key
+                )}${branchParameters}`
+            }));
+
+            return summary;
+        } catch (err) {
+            // the project has not been analyzed
+            if (err instanceof SonarNotFoundError) {
+                return summary;
+            }
+
+            throw wrapError(err, `Failed to get issues of Sonar project ${projectKey}: ${err.message}`, {
+                operation: 'getIssues',
+                projectKey
+            });
+        }
     }
 
     /**
-     * Get metrics for a project
-     * @method getMetrics
+     * Get the open vulnerabilities, hotspots to review and security ratings of a project
+     * @method getSecuritySummary
      * @param  {Object} config
-     * @param  {String} config.projectKey   Sonar project key (job:jobId or pipeline:pipelineId)
-     * @param  {String} config.startTime    Job start time
-     * @param  {String} config.endTime      Job end time
-     * @param  {String} [config.prNum]      Pull request number
-     * @return {Promise}                    Object with coverage percentage and tests success percentage
+     * @param  {String} config.projectKey       Sonar project key (job:jobId or pipeline:pipelineId)
+     * @param  {String} [config.prNum]          Pull request number, if enterprise is enabled
+     * @param  {String} [config.branch]         Branch name, if enterprise is enabled
+     * @param  {String} [config.from]           Start time of the security history, no history is returned if not set
+     * @param  {String} [config.to]             End time of the security history
+     * @param  {String} [config.scmContext]     SCM context, used to route to the Sonar server
+     * @param  {String} [config.pipelineName]   Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                        Security summary, with the history series of the security metrics
+     *                                          if from is set
      */
-    getMetrics({ projectKey, startTime, endTime, prNum, sonarEnterprise: enterpriseEnabled }) {
-        const componentId = encodeURIComponent(projectKey);
-        // get timezone offset (e.g. -0700) from 'Fri May 11 2018 15:25:37 GMT-0700 (PDT)'
-        const timezoneOffset = new Date().toString().match(/GMT(.*?) /)[1];
-        // Convert the time format from 2018-05-10T19:05:53.123Z to 2018-05-10T19:05:53-0700 as required by sonar
-        const parsedStartTime = startTime.replace(/\.(.*)/, timezoneOffset);
-        const parsedEndTime = endTime.replace(/\.(.*)/, timezoneOffset);
-        const from = encodeURIComponent(parsedStartTime);
-        const to = encodeURIComponent(parsedEndTime);
-        let coverageUrl = `${this.sonarHost}/api/measures/search_history?component=${componentId}&metrics=tests,test_errors,test_failures,coverage&from=${from}&to=${to}&ps=1`;
+    async getSecuritySummary({ projectKey, prNum, branch, from, to, scmContext, pipelineName }) {
+        const server = this.getServer({ scmContext, pipelineName });
 
-        if (enterpriseEnabled && prNum) {
-            coverageUrl = coverageUrl.concat(`&pullRequest=${prNum}`);
+        if (server !== this) {
+            return server.getSecuritySummary({ projectKey, prNum, branch, from, to });
         }
 
-        return request({
-            method: 'GET',
-            url: coverageUrl,
-            username: this.adminToken
-        })
-            .then(result => {
-                const measures = {};
+        const branchParameters = getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, prNum, branch });
+        let measures = [];
 
-                // measures in result is an array, covert it to an object with metric name as key
-                (hoek.reach(result, 'body.measures') || []).forEach(measure => {
-                    measures[measure.metric] = measure;
+        try {
+            const result = await this.client.request({
+                method: 'GET',
+                url: `${this.sonarHost}/api/measures/component?component=${encodeURIComponent(
+                    projectKey
+                )}&metricKeys=${SECURITY_METRICS.join(',')}${branchParameters}`,
+                username: this.adminToken
+            });
+
+            measures = hoek.reach(result, 'body.component.measures');
+        } catch (err) {
+            // the project has not been analyzed
+            if (!(err instanceof SonarNotFoundError)) {
+                throw wrapError(err, `Failed to get security summary of Sonar project ${projectKey}: ${err.message}`, {
+                    operation: 'getSecuritySummary',
+                    projectKey
                 });
+            }
+        }
 
-                const metrics = {
-                    coverage: hoek.reach(measures, 'coverage.history.0.value') || 'N/A',
-                    tests: 'N/A'
-                };
-                const zero = { default: 0 };
-                const total = hoek.reach(measures, 'tests.history.0.value', { default: 'N/A' });
-                const testErrors = hoek.reach(measures, 'test_errors.history.0.value', zero);
-                const testFailures = hoek.reach(measures, 'test_failures.history.0.value', zero);
+        const summary = toSecuritySummary(projectKey, measures);
 
-                if (!Number.isNaN(Number(total))) {
-                    const totalInt = parseInt(total, 10);
-                    const pass = totalInt - parseInt(testErrors, 10) - parseInt(testFailures, 10);
+        if (from) {
+            const { series } = await this.getHistory({ projectKey, from, to, branch, metrics: SECURITY_METRICS });
 
-                    metrics.tests = `${pass}/${totalInt}`;
-                }
+            summary.history = series;
+        }
 
-                return metrics;
-            })
-            .catch(err => {
-                // if there is no coverage measurement target, 404 and 'Component key not found' are returned and this is not an error
-                if (err.statusCode !== 404 || !/Component key '.*' not found/.test(err.message)) {
-                    // if cannot get coverage, do not throw err
-                    logger.error(
-                        `Failed to get coverage and tests percentage for Sonar project ${projectKey}: ${err.message}`
-                    );
-                }
+        return summary;
+    }
 
-                return {
-                    tests: 'N/A',
-                    coverage: 'N/A'
-                };
-            });
+    /**
+     * Get the security summaries of the main branch of many projects, for compliance reports
+     * @method getSecuritySummaries
+     * @param  {Object}   config
+     * @param  {String[]} config.projectKeys    Sonar project keys (job:jobId or pipeline:pipelineId)
+     * @param  {String}   [config.scmContext]   SCM context, used to route to the Sonar server
+     * @param  {String}   [config.pipelineName] Screwdriver pipeline name, used to route to the Sonar server
+     * @return {Promise}                        Security summaries in the order of the project keys
+     */
+    async getSecuritySummaries({ projectKeys, scmContext, pipelineName }) {
+        const server = this.getServer({ scmContext, pipelineName });
+
+        if (server !== this) {
+            return server.getSecuritySummaries({ projectKeys });
+        }
+
+        const chunks = [];
+
+        for (let i = 0; i < projectKeys.length; i += MEASURES_SEARCH_MAX_PROJECTS) {
+            chunks.push(projectKeys.slice(i, i + MEASURES_SEARCH_MAX_PROJECTS));
+        }
+
+        const measuresByProject = {};
+
+        await chunks.reduce(
+            (previous, chunk) =>
+                previous.then(() =>
+                    this.client
+                        .request({
+                            method: 'GET',
+                            url: `${this.sonarHost}/api/measures/search?projectKeys=${chunk
+                                .map(encodeURIComponent)
+                                .join(',')}&metricKeys=${SECURITY_METRICS.join(',')}`,
+                            username: this.adminToken
+                        })
+                        .then(result => {
+                            (hoek.reach(result, 'body.measures') || []).forEach(measure => {
+                                measuresByProject[measure.component] = (
+                                    measuresByProject[measure.component] || []
+                                ).concat(measure);
+                            });
+                        })
+                        .catch(err => {
+                            throw wrapError(err, `Failed to get security summaries of Sonar projects: ${err.message}`, {
+                                operation: 'getSecuritySummaries'
+                            });
+                        })
+                ),
+            Promise.resolve()
+        );
+
+        return projectKeys.map(projectKey => toSecuritySummary(projectKey, measuresByProject[projectKey]));
     }
 
     /**
@@ -400,17 +2736,52 @@ class CoverageSonar extends CoverageBase {
      * @method getAccessToken
      * @param {Object} config
      * @param {String} [config.scope]           Coverage scope
-     * @param {Object} config.buildCredentials  Information stored in a build JWT
+     * @param {Object} config.buildCredentials  Information stored in a build JWT, its username is the build ID
      * @param {String} [config.jobName]         Screwdriver job name
      * @param {String} config.pipelineName      Screwdriver pipeline name
      * @param {String} [config.projectKey]      Sonar project key
      * @param {String} [config.projectName]     Sonar project name
      * @param {String} [config.username]        Sonar username
+     * @param {String} [config.qualityGate]     Name of the quality gate of the project
+     * @param {Object} [config.qualityProfiles] Names of the quality profiles of the project by language
+     * @param {Object} [config.annotations]     Job annotations:
+     *                                          - screwdriver.cd/coverageMonorepo binds the repository as a monorepo
+     *                                          - screwdriver.cd/coverageQualityGate selects a quality gate
+     *                                          - screwdriver.cd/coverageQualityProfiles adds quality profiles
+     *                                            (e.g. "js:Strict Way, java:Company Way")
+     * @param {Boolean} [config.forceProvision] Provision the project again even if it has been provisioned
+     *                                          in the last provisioningTtl seconds
      * @return {Promise}                        An access token that build can use
      *                                          to talk to coverage server
      */
-    _getAccessToken({ scope, username, projectKey, projectName, jobName, pipelineName, buildCredentials }) {
-        const { jobId, pipelineId, prParentJobId, scmContext } = buildCredentials;
+    _getAccessToken({
+        scope,
+        username,
+        projectKey,
+        projectName,
+        jobName,
+        pipelineName,
+        buildCredentials,
+        qualityGate,
+        qualityProfiles,
+        annotations = {},
+        forceProvision = false
+    }) {
+        const { jobId, pipelineId, prParentJobId, scmContext, username: buildId } = buildCredentials;
+        // job scoped project names are pipelineName:jobName
+        const buildPipelineName = pipelineName || (projectName || '').split(':')[0];
+        const server = this.getServer({ scmContext, pipelineName: buildPipelineName });
+
+        if (server !== this) {
+            return server.getAccessToken(arguments[0]);
+        }
+
+        const serverDetection = this._waitForServerDetection();
+
+        if (serverDetection) {
+            return serverDetection.then(() => this.getAccessToken(arguments[0]));
+        }
+
         let projectData = { username, projectKey, projectName };
 
         if (!username || !projectKey || !projectName || projectName.includes('undefined')) {
@@ -426,14 +2797,101 @@ class CoverageSonar extends CoverageBase {
             });
         }
 
-        const password = uuidv4();
+        const tokenName = getBuildTokenName(jobId, buildId);
+        const monorepoAnnotation = annotations[MONOREPO_ANNOTATION];
+        const monorepo = monorepoAnnotation === undefined ? this.sonarMonorepo : String(monorepoAnnotation) === 'true';
+        const qualitySettings = {
+            qualityGate: qualityGate || annotations[QUALITY_GATE_ANNOTATION],
+            qualityProfiles: parseQualityProfiles(qualityProfiles || annotations[QUALITY_PROFILES_ANNOTATION])
+        };
+
+        // job scoped projects of a pipeline share its repository
+        const repositoryName = buildPipelineName || (projectData.projectName || '').split(':')[0];
+        const provisioningKey = this._getProvisioningCacheKey(projectData.projectKey);
+        // provisioning again is needed if any of its settings has changed
+        const fingerprint = JSON.stringify({
+            projectName: projectData.projectName,
+            username: projectData.username,
+            pipelineName: buildPipelineName,
+            scmContext,
+            monorepo,
+            qualitySettings
+        });
+        const provision = () =>
+            this.createProject(projectData.projectKey)
+                .then(result =>
+                    this.configurePermissions(projectData.projectKey, {
+                        pipelineName: repositoryName,
+                        created: !!hoek.reach(result, 'body.project')
+                    })
+                )
+                .then(() => this.configureQualitySettings(projectData.projectKey, qualitySettings))
+                .then(() => this.configureGitApp(projectData.projectKey, repositoryName, scmContext, monorepo))
+                .then(binding =>
+                    this.getProvisioningMode()
+                        .then(mode => {
+                            // project analysis tokens do not need a synthetic user
+                            if (mode === 'project') {
+                                return mode;
+                            }
+
+                            return this.createUser(projectData.username, uuidv4())
+                                .then(() => this.grantUserPermission(projectData.username, projectData.projectKey))
+                                .then(() => mode);
+                        })
+                        .then(mode => {
+                            const state = { mode, fingerprint };
+
+                            // the project is provisioned again by the next build to retry binding the repository
+                            if (hoek.reach(binding, 'status') === 'failed') {
+                                return state;
+                            }
+
+                            return this._setCached(provisioningKey, state, this.provisioningTtl);
+                        })
+                );
+        const generate = ({ mode }) =>
+            mode === 'project'
+                ? this.generateProjectToken(projectData.projectKey, tokenName).then(res => ({
+                      res,
+                      sweep: { projectKey: projectData.projectKey, projectToken: true, jobId, buildId }
+                  }))
+                : this.generateToken(projectData.username, tokenName).then(res => ({
+                      res,
+                      sweep: { username: projectData.username, jobId, buildId }
+                  }));
+
+        return (forceProvision ? Promise.resolve() : this._getCached(provisioningKey, this.provisioningTtl))
+            .then(state => {
+                if (!state || state.fingerprint !== fingerprint) {
+                    return provision().then(generate);
+                }
+
+                // the project or its user may have been removed in Sonar since it was provisioned
+                return generate(state).catch(err => {
+                    logger.warn(`${err.message}, provisioning Sonar project ${projectData.projectKey} again`);
+
+                    return provision().then(generate);
+                });
+            })
+            .then(({ res, sweep }) =>
+                this.sweepTokens(sweep)
+                    .catch(err => {
+                        // stale tokens are swept again by the next build, do not fail this one
+                        logger.error(`Failed to sweep tokens of project ${projectData.projectKey}: ${err.message}`);
+                    })
+                    .then(() => res.body.token)
+            );
+    }
 
-        return this.createProject(projectData.projectKey)
-            .then(() => this.configureGitApp(projectData.projectKey, projectData.projectName, scmContext))
-            .then(() => this.createUser(projectData.username, password))
-            .then(() => this.grantUserPermission(projectData.username, projectData.projectKey))
-            .then(() => this.generateToken(projectData.username))
-            .then(res => res.body.token);
+    /**
+     * Get the cache key of the provisioning state of a project
+     * @method _getProvisioningCacheKey
+     * @param  {String} projectKey  Sonar project key
+     * @return {String}             Cache key
+     */
+    _getProvisioningCacheKey(projectKey) {
+        return ['provisioned', this.sonarHost, this.provisioningMode, projectKey].join('|');
     }
 
     /**
@@ -450,9 +2908,21 @@ class CoverageSonar extends CoverageBase {
      * @param   {String}  config.startTime          Job start time
      * @param   {String}  config.endTime            Job end time
      * @param   {String}  [config.projectKey]       Sonar project key
+     * @param   {String}  [config.scmContext]       SCM context, used to route to the Sonar server
+     * @param   {Array}   [config.metrics]          Other Sonar metrics to return, instead of the configured ones
+     * @param   {String}  [config.branch]           Branch name, analyzed separately from the main branch
+     *                                              for non pull request builds if enterprise is enabled
+     * @param   {String}  [config.ceTaskId]         Sonar background task ID of the build analysis, recorded
+     *                                              in the coverage.sonar.ceTaskId build metadata
+     * @param   {Number}  [config.issuesLimit]      Number of new issues to return, instead of the configured one
      * @return  {Promise}                           An object with:
      *                                              - tests success percentage
      *                                              - coverage percentage
+     *                                              - typed measures
+     *                                              - quality gate status
+     *                                              - analysis status, and its error message if there is one,
+     *                                                unavailable while Sonar does not respond
+     *                                              - issues summary, if issuesLimit is set
      *                                              - project url
      *                                              - Sonar env vars
      */
@@ -466,8 +2936,25 @@ class CoverageSonar extends CoverageBase {
         pipelineName,
         prNum,
         projectKey: coverageProjectKey,
-        prParentJobId
+        prParentJobId,
+        scmContext,
+        metrics,
+        branch,
+        ceTaskId,
+        issuesLimit = this.issuesLimit
     }) {
+        const server = this.getServer({ scmContext, pipelineName });
+
+        if (server !== this) {
+            return server.getInfo(arguments[0]);
+        }
+
+        const serverDetection = this._waitForServerDetection();
+
+        if (serverDetection) {
+            return serverDetection.then(() => this.getInfo(arguments[0]));
+        }
+
         const { projectScope, projectKey, projectName, username } = this.getProjectData({
             enterpriseEnabled: this.sonarEnterprise,
             jobId,
@@ -488,27 +2975,73 @@ class CoverageSonar extends CoverageBase {
                 SD_SONAR_PROJECT_NAME: projectName
             }
         };
+        const branchParameters = getBranchParameters({ enterpriseEnabled: this.sonarEnterprise, prNum, branch });
+
+        if (this.sonarEnterprise && !prNum && branch) {
+            infoObject.envVars.SD_SONAR_BRANCH = branch;
+        }
+
+        // the upload commands default to the property of the latest servers
+        if (this.compatibility.tokenProperty !== 'sonar.token') {
+            infoObject.envVars.SD_SONAR_TOKEN_PROPERTY = this.compatibility.tokenProperty;
+        }
 
         // Only get coverage percentage if the steps are finished
-        if (projectKey && startTime && endTime) {
+        if (projectKey && ((startTime && endTime) || ceTaskId)) {
             const { sonarEnterprise } = this;
 
-            return this.getMetrics({ projectKey, startTime, endTime, prNum, sonarEnterprise }).then(
-                ({ coverage, tests }) => {
-                    const componentId = encodeURIComponent(projectKey);
-                    let projectUrl = `${this.sonarHost}/dashboard?id=${componentId}`;
-
-                    if (sonarEnterprise && prNum) {
-                        projectUrl = projectUrl.concat(`&pullRequest=${prNum}`);
-                    }
+            // do not wait for Sonar while it is unavailable, the links still work once it is back
+            if (this.client.isOpen()) {
+                return Promise.resolve({
+                    ...infoObject,
+                    coverage: 'N/A',
+                    tests: 'N/A',
+                    measures: {},
+                    qualityGate: { status: 'N/A', conditions: [] },
+                    status: 'unavailable',
+                    statusMessage: 'Sonar is unavailable',
+                    projectUrl: `${this.sonarHost}/dashboard?id=${encodeURIComponent(projectKey)}${branchParameters}`
+                });
+            }
 
-                    infoObject.coverage = coverage;
-                    infoObject.tests = tests;
-                    infoObject.projectUrl = projectUrl;
+            return this.getMetrics({
+                projectKey,
+                startTime,
+                endTime,
+                prNum,
+                branch,
+                sonarEnterprise,
+                metrics,
+                ceTaskId
+            }).then(({ coverage, tests, measures, qualityGate, status, statusMessage }) => {
+                const componentId = encodeURIComponent(projectKey);
+                const projectUrl = `${this.sonarHost}/dashboard?id=${componentId}${branchParameters}`;
+
+                infoObject.coverage = coverage;
+                infoObject.tests = tests;
+                infoObject.measures = measures;
+                infoObject.qualityGate = qualityGate;
+                infoObject.status = status;
+                infoObject.projectUrl = projectUrl;
+
+                if (statusMessage) {
+                    infoObject.statusMessage = statusMessage;
+                }
 
-                    return Promise.resolve(infoObject);
+                if (!issuesLimit) {
+                    return infoObject;
                 }
-            );
+
+                return this.getIssues({ projectKey, prNum, branch, limit: issuesLimit })
+                    .then(issues => {
+                        infoObject.issues = issues;
+                    })
+                    .catch(err => {
+                        // if cannot get issues, do not throw err
+                        logger.error(err.message);
+                    })
+                    .then(() => infoObject);
+            });
         }
 
         return Promise.resolve(infoObject);
@@ -525,3 +3058,5 @@ class CoverageSonar extends CoverageBase {
 }
 
 module.exports = CoverageSonar;
+// typed errors of Sonar failures, e.g. for the Screwdriver API to map them to HTTP responses
+module.exports.errors = errors;
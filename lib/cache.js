@@ -0,0 +1,71 @@
+'use strict';
+
+const DEFAULT_SIZE = 1000;
+
+/**
+ * In-memory least recently used cache, the default store of the Sonar results cache
+ * Other stores (e.g. Redis) can be used instead if they implement the same promise-based interface:
+ * - get(key): resolves with the value, or undefined/null if there is none
+ * - set(key, value, ttl): stores the value for ttl seconds
+ */
+class MemoryCache {
+    /**
+     * Constructor
+     * @method constructor
+     * @param  {Object} [config]
+     * @param  {Number} [config.size]   Maximum number of entries, least recently used ones are evicted first
+     */
+    constructor({ size = DEFAULT_SIZE } = {}) {
+        this.size = size;
+        // Map keeps insertion order, entries are moved to the end when they are used
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a value
+     * @method get
+     * @param  {String} key     Cache key
+     * @return {Promise}        Value, undefined if there is none or it has expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        this.entries.delete(key);
+
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+
+        this.entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    /**
+     * Set a value
+     * @method set
+     * @param  {String} key     Cache key
+     * @param  {*}      value   Value
+     * @param  {Number} ttl     Time to live in seconds
+     * @return {Promise}
+     */
+    async set(key, value, ttl) {
+        this.entries.delete(key);
+
+        if (this.size <= 0 || ttl <= 0) {
+            return;
+        }
+
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+        if (this.entries.size > this.size) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+module.exports = MemoryCache;
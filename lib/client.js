@@ -0,0 +1,167 @@
+'use strict';
+
+const request = require('screwdriver-request');
+const logger = require('screwdriver-logger');
+const { SonarUnavailableError, fromResponseError } = require('./errors');
+
+// calls with these methods can be sent again without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Get the path of the Sonar API called
+ * @method getEndpoint
+ * @param  {String} url     URL of the call
+ * @return {String}         Path (e.g. /api/projects/create)
+ */
+function getEndpoint(url) {
+    try {
+        return new URL(url).pathname;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Wait before the next attempt
+ * @method sleep
+ * @param  {Number}  ms     Milliseconds to wait
+ * @return {Promise}
+ */
+function sleep(ms) {
+    return new Promise(resolve => {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Client of the Sonar API shared by every call of the plugin, with timeouts, retries and a circuit breaker
+ * - idempotent calls failing with 5xx or 429 are retried with exponential backoff and jitter: GET calls, and calls
+ *   flagged as idempotent (e.g. provisioning calls whose duplicates are conflicts or no-ops)
+ * - calls to slow endpoints (e.g. measures history of large projects) can have their own timeout
+ * - after breakerThreshold failed calls in a row, the breaker opens and calls fail fast for breakerResetTimeout,
+ *   then the next call is tried and the breaker opens again if it fails
+ */
+class SonarClient {
+    /**
+     * Constructor
+     * @method constructor
+     * @param  {Object} [config]
+     * @param  {Number} [config.timeout]              Milliseconds before a call times out
+     * @param  {Object} [config.timeouts]             Milliseconds before calls to an endpoint time out, by endpoint
+     *                                                (e.g. { '/api/measures/search_history': 30000 })
+     * @param  {Number} [config.retries]              Number of retries of idempotent calls
+     * @param  {Number} [config.retryDelay]           Milliseconds before the first retry, doubled for each retry
+     * @param  {Number} [config.retryMaxDelay]        Maximum milliseconds between retries
+     * @param  {Number} [config.breakerThreshold]     Number of failed calls in a row opening the breaker
+     * @param  {Number} [config.breakerResetTimeout]  Milliseconds the breaker stays open
+     */
+    constructor({
+        timeout = 10000,
+        timeouts = {},
+        retries = 2,
+        retryDelay = 500,
+        retryMaxDelay = 5000,
+        breakerThreshold = 5,
+        breakerResetTimeout = 30000
+    } = {}) {
+        this.timeout = timeout;
+        this.timeouts = timeouts;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.retryMaxDelay = retryMaxDelay;
+        this.breakerThreshold = breakerThreshold;
+        this.breakerResetTimeout = breakerResetTimeout;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Check if the breaker is open, calls fail fast until it is reset
+     * @method isOpen
+     * @return {Boolean}
+     */
+    isOpen() {
+        return this.openedAt !== null && Date.now() - this.openedAt < this.breakerResetTimeout;
+    }
+
+    /**
+     * Send a call to Sonar
+     * @method request
+     * @param  {Object}  options               Options of screwdriver-request
+     * @param  {Number}  [options.timeout]     Milliseconds before the call times out, instead of the configured ones
+     * @param  {Boolean} [options.idempotent]  If the call can be sent again without side effects, whatever its method
+     * @return {Promise}                       Response, or a SonarApiError
+     */
+    request({ idempotent, ...options }) {
+        const method = (options.method || 'GET').toUpperCase();
+        const retries = idempotent || IDEMPOTENT_METHODS.includes(method) ? this.retries : 0;
+        const timeout = this.timeouts[getEndpoint(options.url)] || this.timeout;
+
+        return this._send({ timeout, ...options, retry: 0 }, retries);
+    }
+
+    /**
+     * Send a call, and retry it if Sonar is unavailable
+     * @method _send
+     * @param  {Object}  options    Options of screwdriver-request
+     * @param  {Number}  retries    Number of retries left
+     * @param  {Number}  [attempt]  Number of the attempt
+     * @return {Promise}            Response
+     */
+    _send(options, retries, attempt = 0) {
+        const endpoint = getEndpoint(options.url);
+
+        if (this.isOpen()) {
+            const err = new SonarUnavailableError('Sonar is unavailable, circuit breaker is open', {
+                statusCode: 503,
+                endpoint
+            });
+
+            err.code = 'ERR_CIRCUIT_OPEN';
+
+            return Promise.reject(err);
+        }
+
+        return request(options).then(
+            response => {
+                this.failures = 0;
+                this.openedAt = null;
+
+                return response;
+            },
+            error => {
+                const err = fromResponseError(error, endpoint);
+
+                if (!(err instanceof SonarUnavailableError)) {
+                    throw err;
+                }
+
+                this._recordFailure();
+
+                if (attempt >= retries) {
+                    throw err;
+                }
+
+                // full jitter spreads the retries of concurrent calls
+                const delay = Math.min(this.retryMaxDelay, this.retryDelay * 2 ** attempt);
+
+                return sleep(Math.round(Math.random() * delay)).then(() => this._send(options, retries, attempt + 1));
+            }
+        );
+    }
+
+    /**
+     * Record a failed call, and open the breaker after too many of them in a row
+     * @method _recordFailure
+     */
+    _recordFailure() {
+        this.failures += 1;
+
+        if (this.failures >= this.breakerThreshold && !this.isOpen()) {
+            this.openedAt = Date.now();
+            logger.warn(`Sonar circuit breaker opened after ${this.failures} failed calls`);
+        }
+    }
+}
+
+module.exports = SonarClient;
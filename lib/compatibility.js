@@ -0,0 +1,58 @@
+'use strict';
+
+// first SonarQube versions supporting each API or property the plugin relies on
+const MIN_VERSIONS = {
+    // api/projects/create takes project instead of key
+    projectParameter: '6.3',
+    // api/alm_settings endpoints binding projects to repositories
+    almSettings: '8.1',
+    // api/user_tokens/generate takes a type, for project analysis tokens
+    projectTokens: '9.5',
+    // api/user_tokens/generate takes an expirationDate
+    tokenExpiration: '9.6',
+    // scanners authenticate with sonar.token instead of sonar.login
+    tokenProperty: '10.0'
+};
+
+/**
+ * Compare a Sonar server version with a minimum version
+ * @param  {String} version     Server version (e.g. 9.9.0.65466)
+ * @param  {String} minimum     Minimum version (e.g. 9.5)
+ * @return {Boolean}            True if the version is the same or newer
+ */
+function isVersionAtLeast(version, minimum) {
+    const current = String(version).split('.').map(Number);
+    const required = minimum.split('.').map(Number);
+    const index = required.findIndex((part, i) => (current[i] || 0) !== part);
+
+    return index === -1 || (current[index] || 0) > required[index];
+}
+
+/**
+ * Get the endpoints, parameters and scanner properties to use with a Sonar server version
+ * @param  {String} [version]   Server version, the latest one if not known
+ * @return {Object}             Object with:
+ *                              - projectParameter: parameter of the project key of api/projects/create
+ *                              - almSettings: if projects can be bound to repositories
+ *                              - projectTokens: if project analysis tokens can be generated
+ *                              - tokenExpiration: if tokens can be given an expiration date
+ *                              - tokenProperty: scanner property of the analysis token
+ */
+function getCompatibility(version) {
+    const supports = feature => !version || isVersionAtLeast(version, MIN_VERSIONS[feature]);
+
+    return {
+        version,
+        projectParameter: supports('projectParameter') ? 'project' : 'key',
+        almSettings: supports('almSettings'),
+        projectTokens: supports('projectTokens'),
+        tokenExpiration: supports('tokenExpiration'),
+        tokenProperty: supports('tokenProperty') ? 'sonar.token' : 'sonar.login'
+    };
+}
+
+module.exports = {
+    MIN_VERSIONS,
+    isVersionAtLeast,
+    getCompatibility
+};
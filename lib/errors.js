@@ -0,0 +1,152 @@
+/* eslint max-classes-per-file: ["error", 5] */
+
+'use strict';
+
+/**
+ * Error of a Sonar API call, or of an operation of the plugin relying on one
+ * The Screwdriver API can map its type to an HTTP response and a build message
+ */
+class SonarApiError extends Error {
+    /**
+     * Constructor
+     * @method constructor
+     * @param  {String}  message
+     * @param  {Object}  [details]
+     * @param  {Number}  [details.statusCode]   HTTP status code returned by Sonar
+     * @param  {String}  [details.endpoint]     Path of the Sonar API called (e.g. /api/projects/create)
+     * @param  {String}  [details.operation]    Operation of the plugin that failed (e.g. createProject)
+     * @param  {String}  [details.projectKey]   Sonar project key
+     * @param  {Boolean} [details.retryable]    If the operation can be tried again later, 5xx and 429 by default
+     * @param  {Error}   [details.cause]        Error returned by the call
+     */
+    constructor(message, { statusCode, endpoint, operation, projectKey, retryable, cause } = {}) {
+        super(message);
+
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.endpoint = endpoint;
+        this.operation = operation;
+        this.projectKey = projectKey;
+        this.retryable = retryable === undefined ? statusCode >= 500 || statusCode === 429 : retryable;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The admin token is invalid or does not have enough permissions (401 or 403)
+ */
+class SonarAuthError extends SonarApiError {}
+
+/**
+ * The project, user, quality gate or other resource does not exist (404)
+ */
+class SonarNotFoundError extends SonarApiError {}
+
+/**
+ * The resource already exists (409, or 400 with an "already exists" message)
+ */
+class SonarConflictError extends SonarApiError {}
+
+/**
+ * Sonar is restarting, overloaded or does not respond (5xx, 429, timeouts, open circuit breaker)
+ */
+class SonarUnavailableError extends SonarApiError {
+    /**
+     * Constructor
+     * @method constructor
+     * @param  {String}  message
+     * @param  {Object}  [details]  Like SonarApiError, always retryable
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+    }
+}
+
+/**
+ * Get the error class of a Sonar API response
+ * @method getErrorClass
+ * @param  {Number}   statusCode    HTTP status code
+ * @param  {String}   message       Error message
+ * @return {Function}               SonarApiError or one of its subclasses
+ */
+function getErrorClass(statusCode, message) {
+    if (statusCode === 401 || statusCode === 403) {
+        return SonarAuthError;
+    }
+
+    if (statusCode === 404) {
+        return SonarNotFoundError;
+    }
+
+    // Sonar rejects duplicates with 400
+    if (statusCode === 409 || (statusCode === 400 && /already exists/.test(message))) {
+        return SonarConflictError;
+    }
+
+    if (statusCode >= 500 || statusCode === 429) {
+        return SonarUnavailableError;
+    }
+
+    return SonarApiError;
+}
+
+/**
+ * Convert the error of a Sonar API call to a typed error, keeping its message and code
+ * @method fromResponseError
+ * @param  {Error}  err         Error of screwdriver-request
+ * @param  {String} [endpoint]  Path of the Sonar API called
+ * @return {SonarApiError}
+ */
+function fromResponseError(err, endpoint) {
+    if (err instanceof SonarApiError) {
+        return err;
+    }
+
+    const { statusCode, message, code } = err || {};
+    const ErrorClass = getErrorClass(statusCode, message);
+    const error = new ErrorClass(message, { statusCode, endpoint, cause: err });
+
+    if (code) {
+        error.code = code;
+    }
+
+    return error;
+}
+
+/**
+ * Wrap an error with the operation that failed, keeping the type and details of the Sonar error
+ * @method wrapError
+ * @param  {Error}  err                    Error of the Sonar call
+ * @param  {String} message                Message of the operation error
+ * @param  {Object} [context]
+ * @param  {String} [context.operation]    Operation of the plugin that failed
+ * @param  {String} [context.projectKey]   Sonar project key
+ * @return {SonarApiError}
+ */
+function wrapError(err, message, { operation, projectKey } = {}) {
+    const cause = fromResponseError(err);
+    const error = new cause.constructor(message, {
+        statusCode: cause.statusCode,
+        endpoint: cause.endpoint,
+        operation,
+        projectKey: projectKey || cause.projectKey,
+        retryable: cause.retryable,
+        cause
+    });
+
+    if (cause.code) {
+        error.code = cause.code;
+    }
+
+    return error;
+}
+
+module.exports = {
+    SonarApiError,
+    SonarAuthError,
+    SonarNotFoundError,
+    SonarConflictError,
+    SonarUnavailableError,
+    fromResponseError,
+    wrapError
+};
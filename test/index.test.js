@@ -9,6 +9,7 @@ const path = require('path');
 sinon.assert.expose(assert, { prefix: '' });
 
 describe('index test', () => {
+    const notBound = { statusCode: 404, message: '404 Reason "Project is not bound"' };
     let config;
     let enterpriseConfig;
     let coverageObject;
@@ -32,7 +33,26 @@ describe('index test', () => {
             sonarHost: 'https://sonar.screwdriver.cd',
             adminToken: 'faketoken',
             sonarEnterprise: false,
-            sonarGitAppName: 'Screwdriver Sonar PR Checks'
+            sonarGitAppName: 'Screwdriver Sonar PR Checks',
+            tokenRetentionDays: 7,
+            provisioningMode: 'user',
+            sonarMonorepo: false,
+            groupPermissions: [],
+            sonarServers: [],
+            sonarRouting: [],
+            metrics: [],
+            issuesLimit: 0,
+            cache: { size: 1000, ttl: 86400, pendingTtl: 60, provisioningTtl: 3600, almSettingsTtl: 300 },
+            // retries are tested with the Sonar client
+            sonarApi: {
+                timeout: 10000,
+                timeouts: {},
+                retries: 0,
+                retryDelay: 500,
+                retryMaxDelay: 5000,
+                breakerThreshold: 5,
+                breakerResetTimeout: 30000
+            }
         };
         enterpriseConfig = {
             sdApiUrl: 'https://api.screwdriver.cd',
@@ -40,7 +60,26 @@ describe('index test', () => {
             sonarHost: 'https://sonar.screwdriver.cd',
             adminToken: 'faketoken',
             sonarEnterprise: true,
-            sonarGitAppName: 'Screwdriver Sonar PR Checks'
+            sonarGitAppName: 'Screwdriver Sonar PR Checks',
+            tokenRetentionDays: 7,
+            provisioningMode: 'user',
+            sonarMonorepo: false,
+            groupPermissions: [],
+            sonarServers: [],
+            sonarRouting: [],
+            metrics: [],
+            issuesLimit: 0,
+            cache: { size: 1000, ttl: 86400, pendingTtl: 60, provisioningTtl: 3600, almSettingsTtl: 300 },
+            // retries are tested with the Sonar client
+            sonarApi: {
+                timeout: 10000,
+                timeouts: {},
+                retries: 0,
+                retryDelay: 500,
+                retryMaxDelay: 5000,
+                breakerThreshold: 5,
+                breakerResetTimeout: 30000
+            }
         };
         coverageObject = {
             body: {
@@ -178,6 +217,12 @@ describe('index test', () => {
         const timezoneOffset = encodeURIComponent(new Date().toString().match(/GMT(.*?) /)[1]);
         const startTime = '2017-10-19T13:00:00.123Z';
         const endTime = '2017-10-19T15:00:00.234Z';
+        const measures = {
+            tests: { value: 10, unit: 'count' },
+            test_errors: { value: 2, unit: 'count' },
+            test_failures: { value: 1, unit: 'count' },
+            coverage: { value: 98.8, unit: '%' }
+        };
 
         beforeEach(() => {
             requestMock.onCall(0).resolves(coverageObject);
@@ -203,6 +248,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
@@ -212,7 +260,7 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 }));
 
         it('returns links with pipeline scope annotation', () =>
@@ -236,6 +284,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=pipeline%3A123`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=pipeline:123&projectName=d2lam/mytest&username=user-pipeline-123&scope=pipeline`,
@@ -245,7 +296,7 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: 'd2lam/mytest'
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 }));
 
         // eslint-disable-next-line max-len
@@ -267,6 +318,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=pipeline%3A123`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=pipeline:123&projectName=d2lam/mytest&username=user-pipeline-123&scope=pipeline`,
@@ -276,7 +330,7 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: 'd2lam/mytest'
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 }));
 
         it('returns links for enterprise', () => {
@@ -303,6 +357,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=pipeline%3A123`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=pipeline:123&projectName=d2lam/mytest&username=user-pipeline-123&scope=pipeline`,
@@ -312,7 +369,7 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: 'd2lam/mytest'
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 });
         });
 
@@ -341,6 +398,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=pipeline%3A123`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=pipeline:123&projectName=d2lam/mytest&username=user-pipeline-123&scope=pipeline`,
@@ -350,7 +410,7 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: 'd2lam/mytest'
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 });
         });
 
@@ -379,6 +439,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=pipeline%3A123&pullRequest=56`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=pipeline:123&projectName=d2lam/mytest&username=user-pipeline-123&scope=pipeline`,
@@ -388,10 +451,60 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: 'd2lam/mytest'
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
+                });
+        });
+
+        it('returns links for enterprise branch analysis', () => {
+            requestMock.onCall(0).resolves(coverageObject);
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin
+                .getInfo({
+                    startTime,
+                    endTime,
+                    pipelineId: 123,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest',
+                    branch: 'release/1.0'
+                })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/measures/search_history?component=pipeline%3A123&metrics=tests,test_errors,test_failures,coverage&from=2017-10-19T13%3A00%3A00${timezoneOffset}&to=2017-10-19T15%3A00%3A00${timezoneOffset}&ps=1&branch=release%2F1.0`
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({ url: sinon.match('/api/project_analyses/search?project=pipeline%3A123&') })
+                    );
+                    assert.calledWith(requestMock, sinon.match({ url: sinon.match('&ps=1&branch=release%2F1.0') }));
+                    assert.strictEqual(
+                        result.projectUrl,
+                        `${config.sonarHost}/dashboard?id=pipeline%3A123&branch=release%2F1.0`
+                    );
+                    assert.strictEqual(result.envVars.SD_SONAR_BRANCH, 'release/1.0');
                 });
         });
 
+        it('does not analyze branches separately for enterprise PR or non-enterprise Sonar', () => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return Promise.all([
+                enterpriseSonarPlugin.getInfo({
+                    pipelineId: 123,
+                    pipelineName: 'd2lam/mytest',
+                    prNum: 56,
+                    branch: 'main'
+                }),
+                sonarPlugin.getInfo({ pipelineId: 123, pipelineName: 'd2lam/mytest', branch: 'release/1.0' })
+            ]).then(([prResult, result]) => {
+                assert.notProperty(prResult.envVars, 'SD_SONAR_BRANCH');
+                assert.notProperty(result.envVars, 'SD_SONAR_BRANCH');
+            });
+        });
+
         it('returns links for enterprise PR with job scope annotation', () => {
             requestMock.onCall(0).resolves(coverageObject);
             enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
@@ -419,6 +532,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=job%3A456&pullRequest=56`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:456&projectName=d2lam/mytest:main&username=user-job-456&scope=job`,
@@ -428,7 +544,7 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: projectName
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 });
         });
 
@@ -458,6 +574,9 @@ describe('index test', () => {
                     assert.deepEqual(result, {
                         coverage: '98.8',
                         tests: '7/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures,
                         projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
@@ -467,35 +586,21 @@ describe('index test', () => {
                             SD_SONAR_PROJECT_NAME: projectName
                         }
                     });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 3);
                 });
         });
 
-        it('returns links when startTime and endTime are not passed in', () =>
-            sonarPlugin
-                .getInfo({
-                    jobId: '1',
-                    jobName: 'main',
-                    pipelineName: 'd2lam/mytest'
-                })
-                .then(result => {
-                    assert.deepEqual(result, {
-                        envVars: {
-                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
-                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
-                            SD_SONAR_ENTERPRISE: false,
-                            SD_SONAR_PROJECT_KEY: 'job:1',
-                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
-                        }
-                    });
-                    assert.callCount(requestMock, 0);
-                }));
+        it('returns the configured metrics as typed measures', () => {
+            const obj = JSON.parse(JSON.stringify(coverageObject));
 
-        it('return N/A if it fails to get coverage and tests', () => {
-            requestMock.onCall(0).rejects({
-                statusCode: 500,
-                message: '500 - internal server error'
-            });
+            obj.body.measures.push(
+                { metric: 'bugs', history: [{ date: '2018-05-08T00:09:53+0000', value: '3' }] },
+                { metric: 'sqale_index', history: [{ date: '2018-05-08T00:09:53+0000', value: '125' }] },
+                { metric: 'new_coverage', history: [{ date: '2018-05-08T00:09:53+0000' }] }
+            );
+            requestMock.onCall(0).resolves(obj);
+            config.metrics = ['bugs', 'sqale_index', 'new_coverage', 'coverage'];
+            sonarPlugin = new SonarPlugin(config);
 
             return sonarPlugin
                 .getInfo({
@@ -507,28 +612,64 @@ describe('index test', () => {
                     pipelineName: 'd2lam/mytest'
                 })
                 .then(result => {
-                    assert.callCount(loggerMock.error, 1);
-                    assert.deepEqual(result, {
-                        coverage: 'N/A',
-                        tests: 'N/A',
-                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
-                        envVars: {
-                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
-                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
-                            SD_SONAR_ENTERPRISE: false,
-                            SD_SONAR_PROJECT_KEY: 'job:1',
-                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
-                        }
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: sinon.match(
+                                'metrics=tests,test_errors,test_failures,coverage,bugs,sqale_index,new_coverage&'
+                            )
+                        })
+                    );
+                    assert.strictEqual(result.coverage, '98.8');
+                    assert.strictEqual(result.tests, '7/10');
+                    assert.deepEqual(result.measures, {
+                        ...measures,
+                        bugs: { value: 3, unit: 'count' },
+                        sqale_index: { value: 125, unit: 'min' }
                     });
-                    assert.callCount(requestMock, 1);
                 });
         });
 
-        it('return N/A if coverage and tests does not exists on sonar', () => {
-            requestMock.onCall(0).rejects({
-                statusCode: 404,
-                message: '404 - {"errors":[{"msg":"Component key \'job:1\' not found"}]}'
+        it('returns the metrics requested instead of the configured ones', () => {
+            config.metrics = ['bugs'];
+            sonarPlugin = new SonarPlugin(config);
+
+            return sonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime, metrics: ['vulnerabilities', 'custom_metric'] })
+                .then(() => {
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: sinon.match(
+                                'metrics=tests,test_errors,test_failures,coverage,vulnerabilities,custom_metric&'
+                            )
+                        })
+                    );
+                });
+        });
+
+        it('returns metrics of the analysis of the build background task', () => {
+            requestMock.onCall(0).resolves({
+                body: {
+                    task: {
+                        id: 'AXtask',
+                        status: 'SUCCESS',
+                        componentKey: 'job:1',
+                        analysisId: 'AXanalysis',
+                        submittedAt: '2017-10-19T15:10:00+0000'
+                    }
+                }
+            });
+            requestMock.onCall(1).resolves({
+                body: {
+                    analyses: [
+                        { key: 'AXlater', date: '2017-10-19T15:09:00+0000' },
+                        { key: 'AXanalysis', date: '2017-10-19T15:05:00+0000' }
+                    ]
+                }
             });
+            requestMock.onCall(2).resolves(coverageObject);
+            requestMock.onCall(3).resolves({ body: { projectStatus: { status: 'OK', conditions: [] } } });
 
             return sonarPlugin
                 .getInfo({
@@ -537,31 +678,73 @@ describe('index test', () => {
                     startTime,
                     endTime,
                     jobName: 'main',
-                    pipelineName: 'd2lam/mytest'
+                    pipelineName: 'd2lam/mytest',
+                    ceTaskId: 'AXtask'
                 })
                 .then(result => {
-                    assert.notCalled(loggerMock.error);
-                    assert.deepEqual(result, {
-                        coverage: 'N/A',
-                        tests: 'N/A',
-                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
-                        envVars: {
-                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
-                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
-                            SD_SONAR_ENTERPRISE: false,
-                            SD_SONAR_PROJECT_KEY: 'job:1',
-                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
-                        }
-                    });
-                    assert.callCount(requestMock, 1);
+                    assert.callCount(requestMock, 4);
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({ url: 'https://sonar.screwdriver.cd/api/ce/task?id=AXtask' })
+                    );
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/project_analyses/search?project=job%3A1&to=2017-10-19T15%3A10%3A00%2B0000&ps=100'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.thirdCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/measures/search_history?component=job%3A1&metrics=tests,test_errors,test_failures,coverage&from=2017-10-19T15%3A05%3A00%2B0000&to=2017-10-19T15%3A05%3A00%2B0000&ps=1'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.getCall(3),
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/qualitygates/project_status?analysisId=AXanalysis'
+                        })
+                    );
+                    assert.strictEqual(result.coverage, '98.8');
+                    assert.deepEqual(result.qualityGate, { status: 'OK', conditions: [] });
                 });
         });
 
-        it('return N/A if the error message is an unexpected 404 error', () => {
-            requestMock.onCall(0).rejects({
-                statusCode: 404,
-                message: '404 - Not Found'
-            });
+        it('falls back to the build window if the background task has not succeeded', () => {
+            requestMock.onCall(0).resolves({ body: { task: { id: 'AXtask', status: 'IN_PROGRESS' } } });
+            requestMock.onCall(1).resolves(coverageObject);
+
+            return sonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime, ceTaskId: 'AXtask' })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: sinon.match(`&from=2017-10-19T13%3A00%3A00${timezoneOffset}&to=`)
+                        })
+                    );
+                    assert.strictEqual(result.tests, '7/10');
+                });
+        });
+
+        it('falls back to the build window if it fails to get the background task', () => {
+            requestMock.onCall(0).rejects({ statusCode: 404, message: "404 - No activity found for task 'AXtask'" });
+            requestMock.onCall(1).resolves(coverageObject);
+
+            return sonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime, ceTaskId: 'AXtask' })
+                .then(result => {
+                    assert.calledWith(
+                        loggerMock.warn,
+                        "Failed to get analysis of Sonar task AXtask: 404 - No activity found for task 'AXtask', falling back to the build window"
+                    );
+                    assert.strictEqual(result.coverage, '98.8');
+                });
+        });
+
+        it('returns the status of the background task submitted in the build window', () => {
+            requestMock.onCall(0).resolves({ body: { measures: [] } });
+            requestMock.onCall(2).resolves({ body: { tasks: [{ id: 'AXtask', status: 'IN_PROGRESS' }] } });
 
             return sonarPlugin
                 .getInfo({
@@ -573,28 +756,33 @@ describe('index test', () => {
                     pipelineName: 'd2lam/mytest'
                 })
                 .then(result => {
-                    assert.callCount(loggerMock.error, 1);
-                    assert.deepEqual(result, {
-                        coverage: 'N/A',
-                        tests: 'N/A',
-                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
-                        envVars: {
-                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
-                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
-                            SD_SONAR_ENTERPRISE: false,
-                            SD_SONAR_PROJECT_KEY: 'job:1',
-                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
-                        }
-                    });
-                    assert.callCount(requestMock, 1);
+                    assert.calledWith(
+                        requestMock.thirdCall,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/ce/activity?component=job%3A1&minSubmittedAt=2017-10-19T13%3A00%3A00${timezoneOffset}&status=PENDING,IN_PROGRESS,SUCCESS,FAILED,CANCELED&ps=100`
+                        })
+                    );
+                    assert.strictEqual(result.coverage, 'N/A');
+                    assert.strictEqual(result.status, 'in_progress');
+                    assert.notProperty(result, 'statusMessage');
                 });
         });
 
-        it('return N/A for tests if it tests metric does not exist', () => {
-            const obj = JSON.parse(JSON.stringify(coverageObject));
-
-            delete obj.body.measures[0];
-            requestMock.onCall(0).resolves(obj);
+        it('ignores background tasks submitted by later builds', () => {
+            requestMock.onCall(0).resolves(coverageObject);
+            requestMock.onCall(2).resolves({
+                body: {
+                    tasks: [
+                        {
+                            id: 'AXlater',
+                            status: 'FAILED',
+                            submittedAt: '2017-10-20T14:00:00+0000',
+                            errorMessage: 'later build broke'
+                        },
+                        { id: 'AXtask', status: 'SUCCESS', submittedAt: '2017-10-19T14:00:00+0000' }
+                    ]
+                }
+            });
 
             return sonarPlugin
                 .getInfo({
@@ -605,27 +793,25 @@ describe('index test', () => {
                     jobName: 'main',
                     pipelineName: 'd2lam/mytest'
                 })
-                .then(result =>
-                    assert.deepEqual(result, {
-                        coverage: '98.8',
-                        tests: 'N/A',
-                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
-                        envVars: {
-                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
-                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
-                            SD_SONAR_ENTERPRISE: false,
-                            SD_SONAR_PROJECT_KEY: 'job:1',
-                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
-                        }
-                    })
-                );
+                .then(result => {
+                    assert.strictEqual(result.coverage, '98.8');
+                    assert.strictEqual(result.status, 'success');
+                    assert.notProperty(result, 'statusMessage');
+                });
         });
 
-        it('return N/A for tests if it tests metric history value is not a number', () => {
-            const obj = JSON.parse(JSON.stringify(coverageObject));
-
-            obj.body.measures[0].history[0].value = 'unknown';
-            requestMock.onCall(0).resolves(obj);
+        it('returns the status and error of the failed background task of the build', () => {
+            requestMock.onCall(0).resolves({
+                body: {
+                    task: {
+                        id: 'AXtask',
+                        status: 'FAILED',
+                        componentKey: 'job:1',
+                        errorMessage: 'Unsupported language cobol2'
+                    }
+                }
+            });
+            requestMock.onCall(1).resolves({ body: { measures: [] } });
 
             return sonarPlugin
                 .getInfo({
@@ -634,29 +820,45 @@ describe('index test', () => {
                     startTime,
                     endTime,
                     jobName: 'main',
-                    pipelineName: 'd2lam/mytest'
+                    pipelineName: 'd2lam/mytest',
+                    ceTaskId: 'AXtask'
                 })
-                .then(result =>
-                    assert.deepEqual(result, {
-                        coverage: '98.8',
-                        tests: 'N/A',
-                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
-                        envVars: {
-                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
-                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
-                            SD_SONAR_ENTERPRISE: false,
-                            SD_SONAR_PROJECT_KEY: 'job:1',
-                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
-                        }
-                    })
-                );
+                .then(result => {
+                    assert.callCount(requestMock, 3);
+                    assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('/api/ce/activity') }));
+                    assert.strictEqual(result.status, 'failed');
+                    assert.strictEqual(result.statusMessage, 'Unsupported language cobol2');
+                });
         });
 
-        it('computes correct result if tests_errors metric is missing', () => {
-            const obj = JSON.parse(JSON.stringify(coverageObject));
+        it('reports canceled background tasks as failed', () => {
+            requestMock.onCall(0).resolves({ body: { task: { id: 'AXtask', status: 'CANCELED' } } });
 
-            delete obj.body.measures[1].history[0].value;
-            requestMock.onCall(0).resolves(obj);
+            return sonarPlugin.getMetrics({ projectKey: 'job:1', ceTaskId: 'AXtask' }).then(result => {
+                assert.callCount(requestMock, 1);
+                assert.strictEqual(result.status, 'failed');
+                assert.strictEqual(result.statusMessage, 'Analysis was canceled');
+            });
+        });
+
+        it('returns the quality gate status of the analysis in the build window', () => {
+            requestMock.onCall(1).resolves({ body: { analyses: [{ key: 'AYx1', date: '2017-10-19T14:00:00+0000' }] } });
+            requestMock.onCall(2).resolves({
+                body: {
+                    projectStatus: {
+                        status: 'ERROR',
+                        conditions: [
+                            {
+                                status: 'ERROR',
+                                metricKey: 'new_coverage',
+                                comparator: 'LT',
+                                errorThreshold: '80',
+                                actualValue: '52.3'
+                            }
+                        ]
+                    }
+                }
+            });
 
             return sonarPlugin
                 .getInfo({
@@ -667,10 +869,277 @@ describe('index test', () => {
                     jobName: 'main',
                     pipelineName: 'd2lam/mytest'
                 })
-                .then(result =>
-                    assert.deepEqual(result, {
-                        coverage: '98.8',
-                        tests: '9/10',
+                .then(result => {
+                    assert.callCount(requestMock, 4);
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/project_analyses/search?project=job%3A1&from=2017-10-19T13%3A00%3A00${timezoneOffset}&to=2017-10-19T15%3A00%3A00${timezoneOffset}&ps=1`
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.thirdCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/qualitygates/project_status?analysisId=AYx1'
+                        })
+                    );
+                    assert.deepEqual(result.qualityGate, {
+                        status: 'ERROR',
+                        conditions: [
+                            {
+                                metric: 'new_coverage',
+                                status: 'ERROR',
+                                comparator: 'LT',
+                                errorThreshold: '80',
+                                actualValue: '52.3'
+                            }
+                        ]
+                    });
+                    assert.strictEqual(result.coverage, '98.8');
+                });
+        });
+
+        it('returns the quality gate status of the pull request for enterprise', () => {
+            requestMock.onCall(1).resolves({ body: { projectStatus: { status: 'OK', conditions: [] } } });
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin
+                .getInfo({
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    pipelineId: 123,
+                    prNum: 56,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest',
+                    prParentJobId: 456
+                })
+                .then(result => {
+                    assert.callCount(requestMock, 3);
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/qualitygates/project_status?projectKey=pipeline%3A123&pullRequest=56'
+                        })
+                    );
+                    assert.deepEqual(result.qualityGate, { status: 'OK', conditions: [] });
+                });
+        });
+
+        it('returns N/A quality gate if it fails to get the quality gate status', () => {
+            requestMock.onCall(1).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result => {
+                    assert.callCount(loggerMock.error, 1);
+                    assert.deepEqual(result.qualityGate, { status: 'N/A', conditions: [] });
+                    assert.strictEqual(result.coverage, '98.8');
+                });
+        });
+
+        it('returns links when startTime and endTime are not passed in', () =>
+            sonarPlugin
+                .getInfo({
+                    jobId: '1',
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result => {
+                    assert.deepEqual(result, {
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    });
+                    assert.callCount(requestMock, 0);
+                }));
+
+        it('return N/A if it fails to get coverage and tests', () => {
+            requestMock.onCall(0).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result => {
+                    assert.callCount(loggerMock.error, 1);
+                    assert.deepEqual(result, {
+                        coverage: 'N/A',
+                        tests: 'N/A',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'not_configured',
+                        measures: {},
+                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    });
+                    assert.callCount(requestMock, 3);
+                });
+        });
+
+        it('return N/A if coverage and tests does not exists on sonar', () => {
+            requestMock.onCall(0).rejects({
+                statusCode: 404,
+                message: '404 - {"errors":[{"msg":"Component key \'job:1\' not found"}]}'
+            });
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result => {
+                    assert.notCalled(loggerMock.error);
+                    assert.deepEqual(result, {
+                        coverage: 'N/A',
+                        tests: 'N/A',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'not_configured',
+                        measures: {},
+                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    });
+                    assert.callCount(requestMock, 3);
+                });
+        });
+
+        it('return N/A if the error message is an unexpected 404 error', () => {
+            requestMock.onCall(0).rejects({
+                statusCode: 404,
+                message: '404 - Not Found'
+            });
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result => {
+                    assert.callCount(loggerMock.error, 1);
+                    assert.deepEqual(result, {
+                        coverage: 'N/A',
+                        tests: 'N/A',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'not_configured',
+                        measures: {},
+                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    });
+                    assert.callCount(requestMock, 3);
+                });
+        });
+
+        it('return N/A for tests if it tests metric does not exist', () => {
+            const obj = JSON.parse(JSON.stringify(coverageObject));
+
+            delete obj.body.measures[0];
+            requestMock.onCall(0).resolves(obj);
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result =>
+                    assert.deepEqual(result, {
+                        coverage: '98.8',
+                        tests: 'N/A',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures: {
+                            test_errors: measures.test_errors,
+                            test_failures: measures.test_failures,
+                            coverage: measures.coverage
+                        },
+                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    })
+                );
+        });
+
+        it('return N/A for tests if it tests metric history value is not a number', () => {
+            const obj = JSON.parse(JSON.stringify(coverageObject));
+
+            obj.body.measures[0].history[0].value = 'unknown';
+            requestMock.onCall(0).resolves(obj);
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result =>
+                    assert.deepEqual(result, {
+                        coverage: '98.8',
+                        tests: 'N/A',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures: {
+                            test_errors: measures.test_errors,
+                            test_failures: measures.test_failures,
+                            coverage: measures.coverage
+                        },
                         projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
                         envVars: {
                             SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
@@ -682,662 +1151,3160 @@ describe('index test', () => {
                     })
                 );
         });
-    });
 
-    describe('getAccessToken', () => {
-        const buildCredentials = { jobId: 1, pipelineId: 123, scmContext: 'github.com' };
-        const gitAppEncoded = 'Screwdriver%20Sonar%20PR%20Checks';
-        const almResponse = {
-            body: {
-                almSettings: [
-                    {
-                        key: 'Screwdriver Sonar PR Checks',
-                        alm: 'github',
-                        url: 'https://api.github.com'
-                    }
-                ]
-            }
-        };
+        it('computes correct result if tests_errors metric is missing', () => {
+            const obj = JSON.parse(JSON.stringify(coverageObject));
+
+            delete obj.body.measures[1].history[0].value;
+            requestMock.onCall(0).resolves(obj);
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime,
+                    endTime,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result =>
+                    assert.deepEqual(result, {
+                        coverage: '98.8',
+                        tests: '9/10',
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'success',
+                        measures: {
+                            tests: measures.tests,
+                            test_failures: measures.test_failures,
+                            coverage: measures.coverage
+                        },
+                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    })
+                );
+        });
+        it('returns a degraded result without waiting while Sonar is unavailable', () => {
+            config.sonarApi.breakerThreshold = 1;
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(0).rejects({ statusCode: 503, message: '503 Reason "Service Unavailable"' });
+
+            return sonarPlugin.client
+                .request({ method: 'GET', url: `${config.sonarHost}/api/system/status` })
+                .catch(() =>
+                    sonarPlugin.getInfo({
+                        pipelineId: '123',
+                        jobId: '1',
+                        startTime,
+                        endTime,
+                        jobName: 'main',
+                        pipelineName: 'd2lam/mytest'
+                    })
+                )
+                .then(result => {
+                    assert.calledOnce(requestMock);
+                    assert.deepEqual(result, {
+                        coverage: 'N/A',
+                        tests: 'N/A',
+                        measures: {},
+                        qualityGate: { status: 'N/A', conditions: [] },
+                        status: 'unavailable',
+                        statusMessage: 'Sonar is unavailable',
+                        projectUrl: `${config.sonarHost}/dashboard?id=job%3A1`,
+                        envVars: {
+                            SD_SONAR_AUTH_URL: `${sdSonarAuthUrl}?projectKey=job:1&projectName=d2lam/mytest:main&username=user-job-1&scope=job`,
+                            SD_SONAR_HOST: 'https://sonar.screwdriver.cd',
+                            SD_SONAR_ENTERPRISE: false,
+                            SD_SONAR_PROJECT_KEY: 'job:1',
+                            SD_SONAR_PROJECT_NAME: 'd2lam/mytest:main'
+                        }
+                    });
+                });
+        });
+    });
+
+    describe('getAccessToken', () => {
+        const buildCredentials = { jobId: 1, pipelineId: 123, scmContext: 'github.com' };
+        const gitAppEncoded = 'Screwdriver%20Sonar%20PR%20Checks';
+        const almResponse = {
+            body: {
+                almSettings: [
+                    {
+                        key: 'Screwdriver Sonar PR Checks',
+                        alm: 'github',
+                        url: 'https://api.github.com'
+                    }
+                ]
+            }
+        };
+
+        beforeEach(() => {
+            requestMock.onCall(0).resolves(null); // createProject
+            requestMock.onCall(1).resolves(almResponse); // alm_settings/list
+            requestMock.onCall(2).rejects(notBound); // get_binding returns 404
+            requestMock.onCall(3).resolves(null); // createUser
+            requestMock.onCall(4).resolves(null); // grantUserPermission
+            requestMock.onCall(5).resolves({ body: { token: 'accesstoken' } }); // generateToken
+            requestMock.onCall(6).resolves({ body: { userTokens: [] } }); // user_tokens/search
+        });
+
+        it('gets an access token successfully', () => {
+            const projectKey = 'job:1';
+
+            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                assert.callCount(requestMock, 7);
+                assert.call(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: `https://sonar.screwdriver.cd/api/projects/create?project=${projectKey}&name=${projectKey}`
+                    })
+                );
+                assert.call(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                    })
+                );
+                assert.strictEqual(result, 'accesstoken');
+            });
+        });
+
+        it('gets an access token successfully for enterprise', () => {
+            const projectKey = 'pipeline:123';
+            const projectName = 'd2lam/mytest';
+            const username = 'user-pipeline-123';
+
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+
+            return enterpriseSonarPlugin
+                .getAccessToken({ buildCredentials, projectKey, username, projectName })
+                .then(result => {
+                    assert.callCount(requestMock, 8);
+                    assert.call(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/projects/create?project=${projectKey}&name=${projectKey}`
+                        })
+                    );
+                    assert.call(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                        })
+                    );
+                    assert.call(
+                        requestMock.fourthCall,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=${gitAppEncoded}&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=false`
+                        })
+                    );
+                    assert.call(
+                        requestMock.fifthCall,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/permissions/add_user?login=${username}&permission=scan&projectKey=${projectKey}`
+                        })
+                    );
+                    assert.strictEqual(result, 'accesstoken');
+                });
+        });
+
+        it('gets an access token successfully with existing pipeline', () => {
+            requestMock.onCall(0).rejects({
+                statusCode: 400,
+                message: 'Project already exists.'
+            });
+
+            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                assert.callCount(requestMock, 7);
+                assert.strictEqual(result, 'accesstoken');
+            });
+        });
+
+        it('gets an access token successfully with existing user', () => {
+            requestMock.onCall(3).rejects({
+                statusCode: 400,
+                message: 'user already exists.'
+            });
+
+            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                assert.callCount(requestMock, 7);
+                assert.strictEqual(result, 'accesstoken');
+            });
+        });
+
+        it('names the token after the build and sweeps tokens of previous builds', () => {
+            const clock = sinon.useFakeTimers(new Date('2024-01-10T00:00:00.000Z').getTime());
+
+            requestMock.onCall(6).resolves({
+                body: {
+                    userTokens: [
+                        { name: 'sd-job-1-build-99', createdAt: '2024-01-09T23:00:00+0000' },
+                        { name: 'sd-job-1-build-100', createdAt: '2024-01-09T23:30:00+0000' },
+                        { name: 'sd-job-2-build-98', createdAt: '2024-01-09T23:00:00+0000' },
+                        { name: 'sd-job-1-build-101', createdAt: '2024-01-10T00:00:00+0000' },
+                        { name: 'legacy-token', createdAt: '2023-12-01T00:00:00+0000' },
+                        { name: 'expired-token', createdAt: '2024-01-09T00:00:00+0000', isExpired: true }
+                    ]
+                }
+            });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials: { ...buildCredentials, username: 101 } })
+                .then(result => {
+                    clock.restore();
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.callCount(requestMock, 11);
+                    assert.calledWith(
+                        requestMock.getCall(5),
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/user_tokens/generate?login=user-job-1&name=sd-job-1-build-101&expirationDate=2024-01-17'
+                        })
+                    );
+                    assert.deepEqual(
+                        requestMock
+                            .getCalls()
+                            .slice(7)
+                            .map(call => call.args[0].url),
+                        [
+                            'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=sd-job-1-build-99',
+                            'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=sd-job-1-build-100',
+                            'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=legacy-token',
+                            'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=expired-token'
+                        ]
+                    );
+                })
+                .catch(err => {
+                    clock.restore();
+                    throw err;
+                });
+        });
+
+        it('replaces the token if the build already has one', () => {
+            requestMock.onCall(5).rejects({
+                statusCode: 400,
+                message: "400 - A user token for login 'user-job-1' and name 'sd-job-1-build-101' already exists"
+            });
+            requestMock.onCall(6).resolves(null); // revoke
+            requestMock.onCall(7).resolves({ body: { token: 'newtoken' } });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials: { ...buildCredentials, username: 101 } })
+                .then(result => {
+                    assert.strictEqual(result, 'newtoken');
+                    assert.callCount(requestMock, 9);
+                    assert.calledWith(
+                        requestMock.getCall(6),
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=sd-job-1-build-101'
+                        })
+                    );
+                });
+        });
+
+        it('does not throw if failed to sweep stale tokens', () => {
+            requestMock.onCall(6).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                assert.callCount(requestMock, 7);
+                assert.callCount(loggerMock.error, 1);
+                assert.strictEqual(result, 'accesstoken');
+            });
+        });
+
+        describe('with project analysis tokens', () => {
+            const projectTokensResponse = {
+                body: {
+                    login: 'admin',
+                    userTokens: [
+                        {
+                            name: 'sd-job-1-build-99',
+                            type: 'PROJECT_ANALYSIS_TOKEN',
+                            project: { key: 'job:1' },
+                            createdAt: new Date().toISOString()
+                        },
+                        {
+                            name: 'sd-job-2-build-98',
+                            type: 'PROJECT_ANALYSIS_TOKEN',
+                            project: { key: 'job:2' },
+                            createdAt: '2020-01-01T00:00:00+0000'
+                        },
+                        { name: 'admin-token', type: 'USER_TOKEN', createdAt: '2020-01-01T00:00:00+0000' }
+                    ]
+                }
+            };
+
+            beforeEach(() => {
+                requestMock.onCall(3).resolves({ body: { token: 'projecttoken' } }); // generateProjectToken
+                requestMock.onCall(4).resolves(projectTokensResponse); // user_tokens/search
+            });
+
+            it('generates a project analysis token without creating a user', () => {
+                config.provisioningMode = 'project';
+                sonarPlugin = new SonarPlugin(config);
+
+                return sonarPlugin
+                    .getAccessToken({ buildCredentials: { ...buildCredentials, username: 101 } })
+                    .then(result => {
+                        assert.strictEqual(result, 'projecttoken');
+                        assert.callCount(requestMock, 6);
+                        assert.calledWith(
+                            requestMock.getCall(3),
+                            sinon.match({
+                                method: 'POST',
+                                url: sinon.match(
+                                    /\/api\/user_tokens\/generate\?type=PROJECT_ANALYSIS_TOKEN&projectKey=job%3A1&name=sd-job-1-build-101&expirationDate=/
+                                )
+                            })
+                        );
+                        assert.calledWith(
+                            requestMock.getCall(4),
+                            sinon.match({ url: 'https://sonar.screwdriver.cd/api/user_tokens/search' })
+                        );
+                        assert.calledWith(
+                            requestMock.getCall(5),
+                            sinon.match({
+                                url: 'https://sonar.screwdriver.cd/api/user_tokens/revoke?name=sd-job-1-build-99'
+                            })
+                        );
+                        assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('/api/users/create') }));
+                    });
+            });
+
+            it('uses project analysis tokens if the server supports them in auto mode', () => {
+                config.provisioningMode = 'auto';
+                sonarPlugin = new SonarPlugin(config);
+                requestMock.onCall(3).resolves({ body: { status: 'UP', version: '10.2.1.78527' } });
+                requestMock.onCall(4).resolves({ body: { token: 'projecttoken' } });
+                requestMock.onCall(5).resolves(projectTokensResponse);
+
+                return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                    assert.strictEqual(result, 'projecttoken');
+                    assert.calledWith(
+                        requestMock.getCall(3),
+                        sinon.match({ url: 'https://sonar.screwdriver.cd/api/system/status' })
+                    );
+                    assert.calledWith(
+                        requestMock.getCall(4),
+                        sinon.match({ url: sinon.match('type=PROJECT_ANALYSIS_TOKEN') })
+                    );
+                });
+            });
+
+            it('provisions a user on older servers in auto mode', () => {
+                config.provisioningMode = 'auto';
+                sonarPlugin = new SonarPlugin(config);
+                requestMock.onCall(3).resolves({ body: { status: 'UP', version: '8.9.10.61524' } });
+                requestMock.onCall(4).resolves(null); // createUser
+                requestMock.onCall(5).resolves(null); // grantUserPermission
+                requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+                requestMock.onCall(7).resolves({ body: { userTokens: [] } });
+
+                return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.callCount(requestMock, 8);
+                    assert.calledWith(
+                        requestMock.getCall(4),
+                        sinon.match({ url: sinon.match('/api/users/create?login=user-job-1') })
+                    );
+                });
+            });
+
+            it('provisions a user if the server version cannot be detected in auto mode', () => {
+                config.provisioningMode = 'auto';
+                sonarPlugin = new SonarPlugin(config);
+                requestMock.onCall(3).rejects({ statusCode: 500, message: '500 - internal server error' });
+                requestMock.onCall(4).resolves(null); // createUser
+                requestMock.onCall(5).resolves(null); // grantUserPermission
+                requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+                requestMock.onCall(7).resolves({ body: { userTokens: [] } });
+
+                return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.callCount(loggerMock.error, 1);
+                });
+            });
+
+            it('throws err if failed to generate a project analysis token', () => {
+                config.provisioningMode = 'project';
+                sonarPlugin = new SonarPlugin(config);
+                requestMock.onCall(3).rejects({
+                    statusCode: 500,
+                    message: '500 - internal server error'
+                });
+
+                return sonarPlugin
+                    .getAccessToken({ buildCredentials })
+                    .then(() => {
+                        assert.throws(new Error('should not get here'));
+                    })
+                    .catch(err =>
+                        assert.deepEqual(
+                            err.message,
+                            'Failed to generate project job:1 analysis token: 500 - internal server error'
+                        )
+                    );
+            });
+        });
+
+        it('throws err if failed to create/locate projects', () => {
+            requestMock.onCall(0).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(err.message, 'Failed to create project job:1: 500 - internal server error')
+                );
+        });
+
+        it('retries provisioning calls while Sonar is unavailable', () => {
+            config.sonarApi.retries = 1;
+            config.sonarApi.retryDelay = 0;
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(3).rejects({ statusCode: 503, message: '503 Reason "Service Unavailable"' }); // createUser
+            requestMock.onCall(4).resolves(null); // createUser
+            requestMock.onCall(5).resolves(null); // grantUserPermission
+            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+            requestMock.onCall(7).resolves({ body: { userTokens: [] } });
+
+            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                assert.strictEqual(result, 'accesstoken');
+                assert.callCount(requestMock, 8);
+                [3, 4].forEach(call =>
+                    assert.calledWith(
+                        requestMock.getCall(call),
+                        sinon.match({ method: 'POST', url: sinon.match('/api/users/create?') })
+                    )
+                );
+            });
+        });
+
+        it('does not retry creating projects, which may have been created', () => {
+            config.sonarApi.retries = 1;
+            config.sonarApi.retryDelay = 0;
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(0).rejects({ statusCode: 503, message: '503 Reason "Service Unavailable"' });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => assert.fail('should not get here'))
+                .catch(err => {
+                    assert.strictEqual(err.message, 'Failed to create project job:1: 503 Reason "Service Unavailable"');
+                    assert.calledOnce(requestMock);
+                });
+        });
+
+        it('throws typed errors with the failed operation', () => {
+            requestMock.onCall(0).rejects({
+                statusCode: 403,
+                message: '403 Reason "Insufficient privileges"'
+            });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err => {
+                    assert.instanceOf(err, SonarPlugin.errors.SonarAuthError);
+                    assert.strictEqual(
+                        err.message,
+                        'Failed to create project job:1: 403 Reason "Insufficient privileges"'
+                    );
+                    assert.strictEqual(err.statusCode, 403);
+                    assert.strictEqual(err.endpoint, '/api/projects/create');
+                    assert.strictEqual(err.operation, 'createProject');
+                    assert.strictEqual(err.projectKey, 'job:1');
+                    assert.isFalse(err.retryable);
+                });
+        });
+
+        it('does not throw if failed to configure Git App', () => {
+            requestMock.onCall(3).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            const projectKey = 'pipeline:123';
+            const projectName = 'd2lam/mytest';
+            const username = 'user-pipeline-123';
+
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+
+            // eslint-disable-next-line max-len
+            return enterpriseSonarPlugin
+                .getAccessToken({ buildCredentials, projectKey, username, projectName })
+                .then(result => {
+                    assert.callCount(requestMock, 8);
+                    assert.callCount(loggerMock.error, 1);
+                    assert.strictEqual(result, 'accesstoken');
+                });
+        });
+
+        it('does not configure Git App if binding already exists', () => {
+            requestMock.onCall(2).resolves({ body: { repository: 'd2lam/mytest' } });
+
+            const projectKey = 'pipeline:123';
+            const projectName = 'd2lam/mytest';
+            const username = 'user-pipeline-123';
+
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(5).resolves({ body: { token: 'accesstoken' } });
+
+            // eslint-disable-next-line max-len
+            return enterpriseSonarPlugin
+                .getAccessToken({ buildCredentials, projectKey, username, projectName })
+                .then(result => {
+                    assert.callCount(requestMock, 7);
+                    assert.callCount(loggerMock.error, 0);
+                    assert.strictEqual(result, 'accesstoken');
+                });
+        });
+
+        it('update Git App if project name has been changed', () => {
+            requestMock.onCall(2).resolves({ body: { repository: 'd2lam/oldname' } });
+
+            const projectKey = 'pipeline:123';
+            const projectName = 'd2lam/newname';
+            const username = 'user-pipeline-123';
+
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+
+            // eslint-disable-next-line max-len
+            return enterpriseSonarPlugin
+                .getAccessToken({ buildCredentials, projectKey, username, projectName })
+                .then(result => {
+                    assert.callCount(requestMock, 8);
+                    assert.callCount(loggerMock.error, 0);
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=false`
+                        })
+                    );
+                });
+        });
+
+        it('binds the repository as a monorepo with the monorepo annotation', () => {
+            const projectKey = 'pipeline:123';
+            const projectName = 'd2lam/mytest';
+            const username = 'user-pipeline-123';
+
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+
+            return enterpriseSonarPlugin
+                .getAccessToken({
+                    buildCredentials,
+                    projectKey,
+                    username,
+                    projectName,
+                    annotations: { 'screwdriver.cd/coverageMonorepo': 'true' }
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.calledWith(
+                        requestMock.getCall(3),
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=${gitAppEncoded}&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=true`
+                        })
+                    );
+                });
+        });
+
+        it('binds the repository of the pipeline as a monorepo for job scoped projects', () => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+
+            return enterpriseSonarPlugin
+                .getAccessToken({
+                    scope: 'job',
+                    buildCredentials,
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest',
+                    annotations: { 'screwdriver.cd/coverageMonorepo': 'true' }
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.calledWith(
+                        requestMock.getCall(3),
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=${gitAppEncoded}&project=job%3A1&repository=d2lam/mytest&summaryCommentEnabled=true&monorepo=true`
+                        })
+                    );
+                });
+        });
+
+        it('associates the quality gate and profiles from the annotations', () => {
+            requestMock.onCall(1).resolves({ body: { name: 'Strict' } }); // qualitygates/show
+            requestMock.onCall(2).resolves(null); // qualitygates/select
+            requestMock.onCall(3).resolves({ body: { profiles: [{ key: 'js-strict' }] } }); // qualityprofiles/search
+            requestMock.onCall(4).resolves(null); // qualityprofiles/add_project
+            requestMock.onCall(5).resolves(almResponse);
+            requestMock.onCall(6).rejects(notBound);
+            requestMock.onCall(7).resolves(null);
+            requestMock.onCall(8).resolves(null);
+            requestMock.onCall(9).resolves({ body: { token: 'accesstoken' } });
+            requestMock.onCall(10).resolves({ body: { userTokens: [] } });
+
+            return sonarPlugin
+                .getAccessToken({
+                    buildCredentials,
+                    annotations: {
+                        'screwdriver.cd/coverageQualityGate': 'Strict',
+                        'screwdriver.cd/coverageQualityProfiles': 'js:Strict Way'
+                    }
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.callCount(requestMock, 11);
+                    assert.calledWith(
+                        requestMock.getCall(2),
+                        sinon.match({
+                            method: 'POST',
+                            url: 'https://sonar.screwdriver.cd/api/qualitygates/select?gateName=Strict&projectKey=job:1'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.getCall(4),
+                        sinon.match({
+                            method: 'POST',
+                            url: 'https://sonar.screwdriver.cd/api/qualityprofiles/add_project?language=js&qualityProfile=Strict%20Way&project=job:1'
+                        })
+                    );
+                });
+        });
+
+        it('throws err if the quality gate does not exist', () => {
+            requestMock.onCall(1).rejects({ statusCode: 404, message: '404 - No quality gate has been found' });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials, qualityGate: 'Missing' })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err => {
+                    assert.deepEqual(err.message, 'Quality gate Missing does not exist in SonarQube');
+                    assert.callCount(requestMock, 2);
+                });
+        });
+
+        it('applies the permission template and group permissions to new projects', () => {
+            config.permissionTemplate = 'Screwdriver Projects';
+            config.groupPermissions = [{ group: 'sd-{org}', permissions: ['user'] }];
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(0).resolves({ body: { project: { key: 'job:1' } } }); // createProject
+            requestMock.onCall(1).resolves(null); // apply_template
+            requestMock.onCall(2).resolves(null); // add_group
+            requestMock.onCall(3).resolves(almResponse);
+            requestMock.onCall(4).rejects(notBound);
+            requestMock.onCall(5).resolves(null);
+            requestMock.onCall(6).resolves(null);
+            requestMock.onCall(7).resolves({ body: { token: 'accesstoken' } });
+            requestMock.onCall(8).resolves({ body: { userTokens: [] } });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials, jobName: 'main', pipelineName: 'd2lam/mytest' })
+                .then(result => {
+                    assert.strictEqual(result, 'accesstoken');
+                    assert.callCount(requestMock, 9);
+                    assert.calledWith(
+                        requestMock.getCall(1),
+                        sinon.match({
+                            method: 'POST',
+                            url: 'https://sonar.screwdriver.cd/api/permissions/apply_template?projectKey=job:1&templateName=Screwdriver%20Projects'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.getCall(2),
+                        sinon.match({
+                            method: 'POST',
+                            url: 'https://sonar.screwdriver.cd/api/permissions/add_group?groupName=sd-d2lam&permission=user&projectKey=job:1'
+                        })
+                    );
+                });
+        });
+
+        it('throws err if failed to create/locate user', () => {
+            requestMock.onCall(3).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(err.message, 'Failed to create user user-job-1: 500 - internal server error')
+                );
+        });
+
+        it('throws err if failed to grant user permission', () => {
+            requestMock.onCall(4).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to grant user user-job-1 permission: 500 - internal server error'
+                    )
+                );
+        });
+
+        it('it throws err if failed to generate user token', () => {
+            requestMock.onCall(5).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to generate user user-job-1 token: 500 - internal server error'
+                    )
+                );
+        });
+
+        it('only generates tokens for the next builds of a provisioned project', () => {
+            requestMock.onCall(7).resolves({ body: { token: 'accesstoken2' } }); // generateToken
+            requestMock.onCall(8).resolves({ body: { userTokens: [] } }); // user_tokens/search
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => sonarPlugin.getAccessToken({ buildCredentials }))
+                .then(result => {
+                    assert.callCount(requestMock, 9);
+                    assert.calledWith(
+                        requestMock.getCall(7),
+                        sinon.match({ url: sinon.match('/api/user_tokens/generate?login=user-job-1&') })
+                    );
+                    assert.strictEqual(result, 'accesstoken2');
+                });
+        });
+
+        it('provisions a project again if it is forced, with the cached ALM settings', () => {
+            requestMock.onCall(7).resolves(null); // createProject
+            requestMock.onCall(8).rejects(notBound); // get_binding returns 404
+            requestMock.onCall(9).resolves(null); // createUser
+            requestMock.onCall(10).resolves(null); // grantUserPermission
+            requestMock.onCall(11).resolves({ body: { token: 'accesstoken2' } }); // generateToken
+            requestMock.onCall(12).resolves({ body: { userTokens: [] } }); // user_tokens/search
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => sonarPlugin.getAccessToken({ buildCredentials, forceProvision: true }))
+                .then(result => {
+                    assert.callCount(requestMock, 13);
+                    assert.calledWith(
+                        requestMock.getCall(7),
+                        sinon.match({ url: sinon.match('/api/projects/create?') })
+                    );
+                    assert.lengthOf(
+                        requestMock.getCalls().filter(call => call.args[0].url.endsWith('/api/alm_settings/list')),
+                        1
+                    );
+                    assert.strictEqual(result, 'accesstoken2');
+                });
+        });
+
+        it('provisions a project again if its token cannot be generated', () => {
+            requestMock.onCall(7).rejects({ statusCode: 404, message: '404 Reason "User not found"' }); // generateToken
+            requestMock.onCall(8).resolves(null); // createProject
+            requestMock.onCall(9).rejects(notBound); // get_binding returns 404
+            requestMock.onCall(10).resolves(null); // createUser
+            requestMock.onCall(11).resolves(null); // grantUserPermission
+            requestMock.onCall(12).resolves({ body: { token: 'accesstoken2' } }); // generateToken
+            requestMock.onCall(13).resolves({ body: { userTokens: [] } }); // user_tokens/search
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => sonarPlugin.getAccessToken({ buildCredentials }))
+                .then(result => {
+                    assert.callCount(requestMock, 14);
+                    assert.calledWith(
+                        loggerMock.warn,
+                        'Failed to generate user user-job-1 token: 404 Reason "User not found", provisioning Sonar project job:1 again'
+                    );
+                    assert.strictEqual(result, 'accesstoken2');
+                });
+        });
+
+        it('provisions a project again for the next build if it failed to bind the repository', () => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(2).rejects({ statusCode: 500, message: '500 - internal server error' }); // get_binding
+            requestMock.onCall(7).resolves(null); // createProject
+            requestMock.onCall(8).rejects(notBound); // get_binding returns 404
+            requestMock.onCall(9).resolves(null); // set_github_binding
+            requestMock.onCall(10).resolves(null); // createUser
+            requestMock.onCall(11).resolves(null); // grantUserPermission
+            requestMock.onCall(12).resolves({ body: { token: 'accesstoken2' } }); // generateToken
+            requestMock.onCall(13).resolves({ body: { userTokens: [] } }); // user_tokens/search
+
+            return enterpriseSonarPlugin
+                .getAccessToken({ buildCredentials, pipelineName: 'd2lam/mytest' })
+                .then(() => enterpriseSonarPlugin.getAccessToken({ buildCredentials, pipelineName: 'd2lam/mytest' }))
+                .then(result => {
+                    assert.callCount(requestMock, 14);
+                    assert.calledWith(
+                        requestMock.getCall(7),
+                        sinon.match({ url: sinon.match('/api/projects/create?') })
+                    );
+                    assert.calledWith(
+                        requestMock.getCall(9),
+                        sinon.match({ url: sinon.match('/api/alm_settings/set_github_binding?') })
+                    );
+                    assert.strictEqual(result, 'accesstoken2');
+                });
+        });
+
+        it('provisions a project for every build if provisioningTtl is 0', () => {
+            config.cache.provisioningTtl = 0;
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(7).resolves(null); // createProject
+
+            return sonarPlugin
+                .getAccessToken({ buildCredentials })
+                .then(() => sonarPlugin.getAccessToken({ buildCredentials }).catch(() => {}))
+                .then(() => {
+                    assert.calledWith(
+                        requestMock.getCall(7),
+                        sinon.match({ url: sinon.match('/api/projects/create?') })
+                    );
+                });
+        });
+    });
+
+    describe('getHistory', () => {
+        const timezoneOffset = encodeURIComponent(new Date().toString().match(/GMT(.*?) /)[1]);
+        const page = (total, values) => ({
+            body: {
+                paging: { pageIndex: 1, pageSize: 1000, total },
+                measures: [
+                    {
+                        metric: 'coverage',
+                        history: values.map(([date, value]) => ({ date, value }))
+                    }
+                ]
+            }
+        });
+
+        it('returns the history of a pipeline scope project', () => {
+            requestMock.onCall(0).resolves(
+                page(2, [
+                    ['2018-05-08T00:09:53+0000', '80.0'],
+                    ['2018-05-09T00:09:53+0000', undefined]
+                ])
+            );
+
+            return sonarPlugin
+                .getHistory({
+                    pipelineId: '123',
+                    from: '2018-05-01T00:00:00.000Z',
+                    to: '2018-06-01T00:00:00.000Z',
+                    metrics: ['coverage']
+                })
+                .then(result => {
+                    assert.callCount(requestMock, 1);
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({
+                            url: `https://sonar.screwdriver.cd/api/measures/search_history?component=pipeline%3A123&metrics=coverage&from=2018-05-01T00%3A00%3A00${timezoneOffset}&to=2018-06-01T00%3A00%3A00${timezoneOffset}&ps=1000&p=1`
+                        })
+                    );
+                    assert.deepEqual(result, {
+                        projectKey: 'pipeline:123',
+                        series: {
+                            coverage: { unit: '%', points: [{ date: '2018-05-08T00:09:53+0000', value: 80 }] }
+                        },
+                        truncated: false
+                    });
+                });
+        });
+
+        it('pages through the history of a job scope project', () => {
+            requestMock.onCall(0).resolves(page(1500, [['2018-05-08T00:09:53+0000', '80.0']]));
+            requestMock.onCall(1).resolves(page(1500, [['2018-05-09T00:09:53+0000', '81.5']]));
+
+            return sonarPlugin.getHistory({ projectKey: 'job:1', metrics: ['coverage'] }).then(result => {
+                assert.callCount(requestMock, 2);
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/measures/search_history?component=job%3A1&metrics=coverage&ps=1000&p=2'
+                    })
+                );
+                assert.deepEqual(
+                    result.series.coverage.points.map(({ value }) => value),
+                    [80, 81.5]
+                );
+                assert.isFalse(result.truncated);
+            });
+        });
+
+        it('stops paging at the page limit', () => {
+            requestMock.resolves(page(50000, []));
+
+            return sonarPlugin.getHistory({ projectKey: 'job:1' }).then(result => {
+                assert.callCount(requestMock, 10);
+                assert.isTrue(result.truncated);
+                assert.callCount(loggerMock.warn, 1);
+                assert.deepEqual(Object.keys(result.series), ['tests', 'test_errors', 'test_failures', 'coverage']);
+            });
+        });
+
+        it('queries the branch for enterprise', () => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin.getHistory({ projectKey: 'pipeline:123', branch: 'release/1.0' }).then(() => {
+                assert.calledWith(requestMock, sinon.match({ url: sinon.match('&branch=release%2F1.0&ps=1000&p=1') }));
+            });
+        });
+
+        it('returns empty series if the project does not exist', () => {
+            requestMock.rejects({ statusCode: 404, message: "404 - Component key 'job:1' not found" });
+
+            return sonarPlugin.getHistory({ jobId: '1', metrics: ['coverage'] }).then(result => {
+                assert.deepEqual(result, {
+                    projectKey: 'job:1',
+                    series: { coverage: { unit: '%', points: [] } },
+                    truncated: false
+                });
+            });
+        });
+
+        it('throws err if failed to get the history', () => {
+            requestMock.rejects({ statusCode: 500, message: '500 - internal server error' });
+
+            return sonarPlugin
+                .getHistory({ projectKey: 'job:1' })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to get history of Sonar project job:1: 500 - internal server error'
+                    )
+                );
+        });
+    });
+
+    describe('getFileCoverage', () => {
+        const componentTree = {
+            body: {
+                paging: { pageIndex: 1, pageSize: 100, total: 2 },
+                baseComponent: { key: 'job:1', qualifier: 'TRK' },
+                components: [
+                    {
+                        key: 'job:1:src/lib',
+                        name: 'lib',
+                        path: 'src/lib',
+                        qualifier: 'DIR',
+                        measures: [
+                            { metric: 'coverage', value: '42.5' },
+                            { metric: 'uncovered_lines', value: '23' }
+                        ]
+                    },
+                    {
+                        key: 'job:1:src/index.js',
+                        name: 'index.js',
+                        path: 'src/index.js',
+                        qualifier: 'FIL',
+                        measures: [
+                            { metric: 'coverage', value: '80.0' },
+                            { metric: 'lines_to_cover', value: '50' },
+                            { metric: 'uncovered_lines', value: '10' },
+                            { metric: 'conditions_to_cover', value: '4' },
+                            { metric: 'uncovered_conditions', value: '0' }
+                        ]
+                    }
+                ]
+            }
+        };
+
+        it('returns the worst-covered children of the project first', () => {
+            requestMock.onCall(0).resolves(componentTree);
+
+            return sonarPlugin.getFileCoverage({ projectKey: 'job:1' }).then(result => {
+                assert.calledWith(
+                    requestMock,
+                    sinon.match({
+                        method: 'GET',
+                        url: 'https://sonar.screwdriver.cd/api/measures/component_tree?component=job%3A1&metricKeys=coverage,lines_to_cover,uncovered_lines,conditions_to_cover,uncovered_conditions&qualifiers=DIR,FIL&strategy=children&s=metric&metricSort=coverage&metricSortFilter=withMeasuresOnly&asc=true&p=1&ps=100'
+                    })
+                );
+                assert.deepEqual(result, {
+                    projectKey: 'job:1',
+                    paging: { page: 1, pageSize: 100, total: 2 },
+                    components: [
+                        {
+                            key: 'job:1:src/lib',
+                            name: 'lib',
+                            path: 'src/lib',
+                            qualifier: 'directory',
+                            coverage: 42.5,
+                            linesToCover: null,
+                            uncoveredLines: 23,
+                            conditionsToCover: null,
+                            uncoveredConditions: null
+                        },
+                        {
+                            key: 'job:1:src/index.js',
+                            name: 'index.js',
+                            path: 'src/index.js',
+                            qualifier: 'file',
+                            coverage: 80,
+                            linesToCover: 50,
+                            uncoveredLines: 10,
+                            conditionsToCover: 4,
+                            uncoveredConditions: 0
+                        }
+                    ]
+                });
+            });
+        });
+
+        it('drills into a directory of a pull request with paging, sorting and a filter', () => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin
+                .getFileCoverage({
+                    projectKey: 'pipeline:123',
+                    path: 'src/lib/',
+                    recursive: true,
+                    query: 'util',
+                    sort: 'path',
+                    asc: false,
+                    page: 3,
+                    pageSize: 1000,
+                    prNum: '56'
+                })
+                .then(() => {
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/measures/component_tree?component=pipeline%3A123%3Asrc%2Flib&metricKeys=coverage,lines_to_cover,uncovered_lines,conditions_to_cover,uncovered_conditions&qualifiers=DIR,FIL&strategy=all&s=path&q=util&asc=false&p=3&ps=500&pullRequest=56'
+                        })
+                    );
+                });
+        });
+
+        it('lists the components with the most uncovered lines first by default', () =>
+            sonarPlugin.getFileCoverage({ projectKey: 'job:1', sort: 'uncovered_lines' }).then(() => {
+                assert.calledWith(
+                    requestMock,
+                    sinon.match({
+                        url: sinon.match(
+                            '&s=metric&metricSort=uncovered_lines&metricSortFilter=withMeasuresOnly&asc=false&'
+                        )
+                    })
+                );
+            }));
+
+        it('returns no components if the project has not been analyzed', () => {
+            requestMock.rejects({ statusCode: 404, message: "404 - Component key 'job:1' not found" });
+
+            return sonarPlugin.getFileCoverage({ projectKey: 'job:1', branch: 'release/1.0' }).then(result => {
+                assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('branch=') }));
+                assert.deepEqual(result, {
+                    projectKey: 'job:1',
+                    paging: { page: 1, pageSize: 100, total: 0 },
+                    components: []
+                });
+            });
+        });
+
+        it('throws err if failed to get the file coverage', () => {
+            requestMock.rejects({ statusCode: 500, message: '500 - internal server error' });
+
+            return sonarPlugin
+                .getFileCoverage({ projectKey: 'job:1' })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to get file coverage of Sonar project job:1: 500 - internal server error'
+                    )
+                );
+        });
+    });
+
+    describe('getIssues', () => {
+        const countsResponse = {
+            body: {
+                paging: { pageIndex: 1, pageSize: 1, total: 7 },
+                issues: [],
+                facets: [
+                    {
+                        property: 'types',
+                        values: [
+                            { val: 'CODE_SMELL', count: 5 },
+                            { val: 'BUG', count: 2 }
+                        ]
+                    },
+                    {
+                        property: 'severities',
+                        values: [
+                            { val: 'MAJOR', count: 6 },
+                            { val: 'BLOCKER', count: 1 }
+                        ]
+                    }
+                ]
+            }
+        };
+        const issuesResponse = {
+            body: {
+                issues: [
+                    {
+                        key: 'AXissue',
+                        rule: 'typescript:S1481',
+                        severity: 'MINOR',
+                        component: 'pipeline:123:src/index.js',
+                        line: 42,
+                        message: 'Remove the declaration of the unused variable.',
+                        type: 'CODE_SMELL'
+                    }
+                ]
+            }
+        };
+
+        it('returns issue counts and new issues of a pull request', () => {
+            requestMock.onCall(0).resolves(countsResponse);
+            requestMock.onCall(1).resolves(issuesResponse);
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin
+                .getIssues({ pipelineId: '123', pipelineName: 'd2lam/mytest', prNum: '56', limit: 5 })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/issues/search?componentKeys=pipeline%3A123&resolved=false&pullRequest=56&facets=types,severities&ps=1'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/issues/search?componentKeys=pipeline%3A123&resolved=false&pullRequest=56&s=CREATION_DATE&asc=false&ps=5'
+                        })
+                    );
+                    assert.deepEqual(result, {
+                        projectKey: 'pipeline:123',
+                        total: 7,
+                        types: { CODE_SMELL: 5, BUG: 2 },
+                        severities: { MAJOR: 6, BLOCKER: 1 },
+                        newIssues: [
+                            {
+                                key: 'AXissue',
+                                type: 'CODE_SMELL',
+                                severity: 'MINOR',
+                                rule: 'typescript:S1481',
+                                message: 'Remove the declaration of the unused variable.',
+                                file: 'src/index.js',
+                                line: 42,
+                                link: 'https://sonar.screwdriver.cd/project/issues?id=pipeline%3A123&open=AXissue&pullRequest=56'
+                            }
+                        ]
+                    });
+                });
+        });
+
+        it('returns new code issues of a job scope project', () =>
+            sonarPlugin.getIssues({ jobId: '1', jobName: 'main', pipelineName: 'd2lam/mytest' }).then(result => {
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/issues/search?componentKeys=job%3A1&resolved=false&inNewCodePeriod=true&s=CREATION_DATE&asc=false&ps=10'
+                    })
+                );
+                assert.strictEqual(result.projectKey, 'job:1');
+                assert.strictEqual(result.total, 0);
+            }));
+
+        it('returns the issues in getInfo if issuesLimit is set', () => {
+            requestMock.onCall(0).resolves(coverageObject);
+            requestMock.onCall(3).resolves(countsResponse);
+            config.issuesLimit = 3;
+            sonarPlugin = new SonarPlugin(config);
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime: '2017-10-19T13:00:00.123Z',
+                    endTime: '2017-10-19T15:00:00.234Z',
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                })
+                .then(result => {
+                    assert.callCount(requestMock, 5);
+                    assert.calledWith(requestMock.getCall(4), sinon.match({ url: sinon.match('&ps=3') }));
+                    assert.deepEqual(result.issues.types, { CODE_SMELL: 5, BUG: 2 });
+                });
+        });
+
+        it('does not fail getInfo if it fails to get the issues', () => {
+            requestMock.onCall(3).rejects({ statusCode: 500, message: '500 - internal server error' });
+
+            return sonarPlugin
+                .getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    startTime: '2017-10-19T13:00:00.123Z',
+                    endTime: '2017-10-19T15:00:00.234Z',
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest',
+                    issuesLimit: 3
+                })
+                .then(result => {
+                    assert.notProperty(result, 'issues');
+                    assert.calledWith(
+                        loggerMock.error,
+                        'Failed to get issues of Sonar project job:1: 500 - internal server error'
+                    );
+                });
+        });
+    });
+
+    describe('getSecuritySummary', () => {
+        const securityMeasures = [
+            { metric: 'vulnerabilities', value: '3' },
+            { metric: 'security_hotspots', value: '2' },
+            { metric: 'security_hotspots_reviewed', value: '60.0' },
+            { metric: 'security_rating', value: '4.0' },
+            { metric: 'security_review_rating', value: '1.0' }
+        ];
+
+        it('returns the security summary of a branch', () => {
+            requestMock
+                .onCall(0)
+                .resolves({ body: { component: { key: 'pipeline:123', measures: securityMeasures } } });
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin
+                .getSecuritySummary({ projectKey: 'pipeline:123', branch: 'release/1.0' })
+                .then(result => {
+                    assert.callCount(requestMock, 1);
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/measures/component?component=pipeline%3A123&metricKeys=vulnerabilities,security_hotspots,security_hotspots_reviewed,security_rating,security_review_rating&branch=release%2F1.0'
+                        })
+                    );
+                    assert.deepEqual(result, {
+                        projectKey: 'pipeline:123',
+                        vulnerabilities: 3,
+                        securityHotspots: 2,
+                        securityHotspotsReviewed: 60,
+                        securityRating: 'D',
+                        securityReviewRating: 'A'
+                    });
+                });
+        });
+
+        it('returns the security history if from is set', () => {
+            requestMock.onCall(0).resolves({ body: { component: { key: 'job:1', measures: securityMeasures } } });
+            requestMock.onCall(1).resolves({
+                body: {
+                    paging: { pageIndex: 1, pageSize: 1000, total: 1 },
+                    measures: [
+                        { metric: 'vulnerabilities', history: [{ date: '2018-05-08T00:09:53+0000', value: '5' }] }
+                    ]
+                }
+            });
+
+            return sonarPlugin
+                .getSecuritySummary({ projectKey: 'job:1', from: '2018-05-01T00:00:00.000Z' })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: sinon.match(
+                                '/api/measures/search_history?component=job%3A1&metrics=vulnerabilities,security_hotspots,security_hotspots_reviewed,security_rating,security_review_rating&from='
+                            )
+                        })
+                    );
+                    assert.deepEqual(result.history.vulnerabilities, {
+                        unit: 'count',
+                        points: [{ date: '2018-05-08T00:09:53+0000', value: 5 }]
+                    });
+                    assert.deepEqual(result.history.security_rating, { unit: 'rating', points: [] });
+                });
+        });
+
+        it('returns empty figures if the project has not been analyzed', () => {
+            requestMock.rejects({ statusCode: 404, message: "404 - Component key 'job:1' not found" });
+
+            return sonarPlugin.getSecuritySummary({ projectKey: 'job:1' }).then(result => {
+                assert.deepEqual(result, {
+                    projectKey: 'job:1',
+                    vulnerabilities: null,
+                    securityHotspots: null,
+                    securityHotspotsReviewed: null,
+                    securityRating: null,
+                    securityReviewRating: null
+                });
+            });
+        });
+
+        it('returns the security summaries of many projects in batches', () => {
+            const projectKeys = Array.from({ length: 150 }, (value, index) => `job:${index}`);
+
+            requestMock.onCall(0).resolves({
+                body: {
+                    measures: [
+                        { metric: 'vulnerabilities', value: '1', component: 'job:0' },
+                        { metric: 'security_rating', value: '2.0', component: 'job:0' }
+                    ]
+                }
+            });
+            requestMock.onCall(1).resolves({
+                body: { measures: [{ metric: 'vulnerabilities', value: '0', component: 'job:149' }] }
+            });
+
+            return sonarPlugin.getSecuritySummaries({ projectKeys }).then(result => {
+                assert.callCount(requestMock, 2);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: sinon
+                            .match('/api/measures/search?projectKeys=job%3A0,job%3A1,job%3A2,')
+                            .and(sinon.match('job%3A99&metricKeys='))
+                    })
+                );
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({ url: sinon.match('/api/measures/search?projectKeys=job%3A100,') })
+                );
+                assert.lengthOf(result, 150);
+                assert.strictEqual(result[0].vulnerabilities, 1);
+                assert.strictEqual(result[0].securityRating, 'B');
+                assert.strictEqual(result[1].vulnerabilities, null);
+                assert.strictEqual(result[149].vulnerabilities, 0);
+            });
+        });
+
+        it('throws err if failed to get the security summaries', () => {
+            requestMock.rejects({ statusCode: 500, message: '500 - internal server error' });
+
+            return sonarPlugin
+                .getSecuritySummaries({ projectKeys: ['job:1'] })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to get security summaries of Sonar projects: 500 - internal server error'
+                    )
+                );
+        });
+    });
+
+    describe('cache', () => {
+        const startTime = '2017-10-19T13:00:00.123Z';
+        const endTime = '2017-10-19T15:00:00.234Z';
+
+        it('serves final results from the cache', () => {
+            requestMock.onCall(0).resolves(coverageObject);
+
+            return sonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime })
+                .then(() => sonarPlugin.getMetrics({ projectKey: 'job:1', startTime, endTime }))
+                .then(result => {
+                    assert.callCount(requestMock, 3);
+                    assert.strictEqual(result.coverage, '98.8');
+                    assert.strictEqual(result.status, 'success');
+                });
+        });
+
+        it('keys results on the project, time window and pull request', () => {
+            requestMock.resolves(coverageObject);
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            return enterpriseSonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime, sonarEnterprise: true })
+                .then(() => enterpriseSonarPlugin.getMetrics({ projectKey: 'job:2', startTime, endTime }))
+                .then(() => enterpriseSonarPlugin.getMetrics({ projectKey: 'job:1', startTime, endTime: startTime }))
+                .then(() =>
+                    enterpriseSonarPlugin.getMetrics({
+                        projectKey: 'job:1',
+                        startTime,
+                        endTime,
+                        prNum: '56',
+                        sonarEnterprise: true
+                    })
+                )
+                .then(() => {
+                    assert.callCount(requestMock, 12);
+                });
+        });
+
+        it('caches N/A and pending results for a shorter time in a custom store', () => {
+            const store = { get: sinon.stub().resolves(null), set: sinon.stub().resolves() };
+
+            config.cache = { store, ttl: 3600, pendingTtl: 30 };
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(0).resolves(coverageObject);
+
+            return sonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime })
+                .then(() => sonarPlugin.getMetrics({ projectKey: 'job:2', startTime, endTime }))
+                .then(() => {
+                    assert.calledWith(store.get, sinon.match('|job:1|'));
+                    assert.calledWith(store.set.firstCall, sinon.match('|job:1|'), sinon.match.object, 3600);
+                    assert.calledWith(
+                        store.set.secondCall,
+                        sinon.match('|job:2|'),
+                        sinon.match({ coverage: 'N/A', status: 'not_configured' }),
+                        30
+                    );
+                });
+        });
+
+        it('does not fail if the cache store fails', () => {
+            const store = {
+                get: sinon.stub().rejects(new Error('connection refused')),
+                set: sinon.stub().rejects(new Error('connection refused'))
+            };
+
+            config.cache = { store };
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(0).resolves(coverageObject);
+
+            return sonarPlugin.getMetrics({ projectKey: 'job:1', startTime, endTime }).then(result => {
+                assert.strictEqual(result.coverage, '98.8');
+                assert.callCount(loggerMock.warn, 2);
+            });
+        });
+
+        it('does not cache results if the ttl is 0', () => {
+            config.cache = { ttl: 0 };
+            sonarPlugin = new SonarPlugin(config);
+
+            return sonarPlugin
+                .getMetrics({ projectKey: 'job:1', startTime, endTime })
+                .then(() => sonarPlugin.getMetrics({ projectKey: 'job:1', startTime, endTime }))
+                .then(() => {
+                    assert.callCount(requestMock, 6);
+                });
+        });
+
+        it('throws err if the cache store does not implement get and set', () => {
+            config.cache = { store: {} };
+
+            assert.throws(() => new SonarPlugin(config), /cache store must implement get and set/);
+        });
+    });
+
+    describe('getBatchMetrics', () => {
+        const startTime = '2017-10-19T13:00:00.123Z';
+        const endTime = '2017-10-19T15:00:00.234Z';
+        const projectsResponse = {
+            body: {
+                components: [
+                    { key: 'job:1', lastAnalysisDate: '2017-10-19T14:00:00+0000' },
+                    { key: 'job:2', lastAnalysisDate: '2017-10-20T14:00:00+0000' }
+                ]
+            }
+        };
+        const measuresResponse = {
+            body: {
+                measures: [
+                    { component: 'job:1', metric: 'coverage', value: '75.0' },
+                    { component: 'job:1', metric: 'tests', value: '4' },
+                    { component: 'job:1', metric: 'test_failures', value: '1' },
+                    { component: 'job:1', metric: 'alert_status', value: 'OK' },
+                    { component: 'job:2', metric: 'coverage', value: '10.0' }
+                ]
+            }
+        };
+
+        it('searches the measures of projects analyzed in the build window together', () => {
+            requestMock.onCall(0).resolves(projectsResponse);
+            requestMock.onCall(1).resolves(measuresResponse);
+            requestMock.onCall(2).resolves(coverageObject);
+
+            return sonarPlugin
+                .getBatchMetrics({
+                    entries: [
+                        { projectKey: 'job:1', startTime, endTime },
+                        { projectKey: 'job:2', startTime, endTime }
+                    ]
+                })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/projects/search?projects=job%3A1,job%3A2&ps=100'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock.secondCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/measures/search?projectKeys=job%3A1,job%3A2&metricKeys=tests,test_errors,test_failures,coverage,alert_status'
+                        })
+                    );
+                    // job:2 was analyzed after the build, its metrics are searched in the build window
+                    assert.calledWith(
+                        requestMock.thirdCall,
+                        sinon.match({ url: sinon.match('/api/measures/search_history?component=job%3A2&') })
+                    );
+                    assert.lengthOf(result, 2);
+                    assert.deepEqual(result[0], {
+                        coverage: '75.0',
+                        tests: '3/4',
+                        measures: {
+                            coverage: { value: 75, unit: '%' },
+                            tests: { value: 4, unit: 'count' },
+                            test_failures: { value: 1, unit: 'count' }
+                        },
+                        qualityGate: { status: 'OK', conditions: [] },
+                        status: 'success'
+                    });
+                    assert.strictEqual(result[1].coverage, '98.8');
+                });
+        });
+
+        it('returns the metrics of every build of a project shared by many jobs', () => {
+            const laterStartTime = '2017-10-20T13:00:00.123Z';
+            const laterEndTime = '2017-10-20T15:00:00.234Z';
+
+            requestMock.onCall(0).resolves({
+                body: { components: [{ key: 'pipeline:1', lastAnalysisDate: '2017-10-19T14:00:00+0000' }] }
+            });
+            requestMock.onCall(1).resolves({
+                body: { measures: [{ component: 'pipeline:1', metric: 'coverage', value: '75.0' }] }
+            });
+            requestMock.onCall(2).resolves(coverageObject);
+
+            return sonarPlugin
+                .getBatchMetrics({
+                    entries: [
+                        { projectKey: 'pipeline:1', startTime, endTime },
+                        { projectKey: 'pipeline:1', startTime: laterStartTime, endTime: laterEndTime }
+                    ]
+                })
+                .then(result => {
+                    assert.lengthOf(result, 2);
+                    assert.strictEqual(result[0].coverage, '75.0');
+                    // the last analysis is not in the window of the second build, its metrics are fetched alone
+                    assert.calledWith(
+                        requestMock.thirdCall,
+                        sinon.match({ url: sinon.match('/api/measures/search_history?component=pipeline%3A1&') })
+                    );
+                    assert.strictEqual(result[1].coverage, '98.8');
+                });
+        });
+
+        it('fetches pull requests one by one and caches results', () => {
+            requestMock.resolves(coverageObject);
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            const entries = ['1', '2', '3'].map(prNum => ({
+                projectKey: `pipeline:${prNum}`,
+                startTime,
+                endTime,
+                prNum
+            }));
+
+            return enterpriseSonarPlugin
+                .getBatchMetrics({ entries, concurrency: 2 })
+                .then(result => {
+                    assert.lengthOf(result, 3);
+                    assert.isTrue(result.every(({ status }) => status === 'success'));
+                    assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('/api/measures/search?') }));
+                    assert.calledWith(requestMock, sinon.match({ url: sinon.match('&pullRequest=3') }));
+                    requestMock.resetHistory();
+
+                    return enterpriseSonarPlugin.getBatchMetrics({ entries });
+                })
+                .then(() => {
+                    assert.notCalled(requestMock);
+                });
+        });
+
+        it('fetches builds one by one with limited concurrency', () => {
+            const entries = ['1', '2', '3', '4', '5'].map(prNum => ({ projectKey: 'pipeline:1', prNum }));
+            let inFlight = 0;
+            let maxInFlight = 0;
+
+            sinon.stub(sonarPlugin, 'getMetrics').callsFake(
+                ({ prNum }) =>
+                    new Promise(resolve => {
+                        inFlight += 1;
+                        maxInFlight = Math.max(maxInFlight, inFlight);
+                        setImmediate(() => {
+                            inFlight -= 1;
+                            resolve({ coverage: prNum });
+                        });
+                    })
+            );
+
+            return sonarPlugin.getBatchMetrics({ entries, concurrency: 2 }).then(result => {
+                assert.strictEqual(maxInFlight, 2);
+                assert.callCount(sonarPlugin.getMetrics, 5);
+                assert.deepEqual(
+                    result.map(({ coverage }) => coverage),
+                    ['1', '2', '3', '4', '5']
+                );
+            });
+        });
+
+        it('does not cache searched measures as the metrics of the build', () => {
+            requestMock.onCall(0).resolves(projectsResponse);
+            requestMock.onCall(1).resolves(measuresResponse);
+
+            return sonarPlugin
+                .getBatchMetrics({ entries: [{ projectKey: 'job:1', startTime, endTime }] })
+                .then(([result]) => {
+                    assert.deepEqual(result.qualityGate.conditions, []);
+                    requestMock.reset();
+                    requestMock.resolves(coverageObject);
+
+                    return sonarPlugin.getMetrics({ projectKey: 'job:1', startTime, endTime });
+                })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({ url: sinon.match('/api/measures/search_history?component=job%3A1&') })
+                    );
+                    assert.strictEqual(result.coverage, '98.8');
+                });
+        });
+
+        it('fetches builds one by one if it fails to search measures', () => {
+            requestMock.onCall(0).rejects({ statusCode: 500, message: '500 - internal server error' });
+            requestMock.onCall(2).resolves(coverageObject);
+
+            return sonarPlugin
+                .getBatchMetrics({ entries: [{ projectKey: 'job:1', startTime, endTime }] })
+                .then(result => {
+                    assert.calledWith(
+                        loggerMock.error,
+                        'Failed to search measures of Sonar projects: 500 - internal server error'
+                    );
+                    assert.strictEqual(result[0].coverage, '98.8');
+                });
+        });
+    });
+
+    describe('getProjectData', () => {
+        const buildCredentials = { jobId: 1, pipelineId: 123 };
+
+        beforeEach(() => {
+            requestMock.onCall(1).rejects();
+            requestMock.onCall(4).resolves({ body: { token: 'accesstoken' } });
+        });
+
+        it('gets projectUrl with pipeline scope from projectKey', () => {
+            const projectKey = 'pipeline:123';
+            const projectName = 'd2lam/mytest';
+            const username = 'user-pipeline-123';
+            const projectUrl = 'https://sonar.screwdriver.cd/dashboard?id=pipeline%3A123';
+
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            const result = enterpriseSonarPlugin.getProjectData({
+                buildCredentials,
+                projectKey,
+                username,
+                projectName
+            });
+
+            assert.strictEqual(result.projectUrl, projectUrl, 'Pipeline scope has projectUrl');
+        });
+
+        it('get projectUrl with pipeline scope from pipelineId without projectKey', () => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+
+            const projectUrl = 'https://sonar.screwdriver.cd/dashboard?id=pipeline%3A123';
+            const result = enterpriseSonarPlugin.getProjectData({
+                buildCredentials,
+                pipelineId: 123,
+                pipelineName: 'd2lam/mytest',
+                scope: 'pipeline'
+            });
+
+            assert.strictEqual(result.projectUrl, projectUrl, 'Pipeline scope has projectUrl');
+        });
+    });
+
+    describe('configureGitApp', () => {
+        const projectKey = 'pipeline:123';
+        const projectName = 'ppaul/covtest';
+
+        beforeEach(() => {
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+        });
+
+        it('selects the only ALM setting when there is one', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'gh1',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=gh1&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+            });
+        });
+
+        it('selects ALM setting by SCM context when multiple exist', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'Sonar [git.example.com]',
+                            alm: 'github',
+                            url: 'https://git.example.com'
+                        },
+                        {
+                            key: 'Sonar [github.com]',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgithub.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+            });
+        });
+
+        it('returns default Git App name when no ALM settings exist', () => {
+            const almResponse = {
+                body: {
+                    almSettings: []
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse); // alm_settings/list
+            requestMock.onCall(1).rejects(notBound); // get_binding returns 404
+            requestMock.onCall(2).resolves(null); // set_github_binding
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+                assert.callCount(loggerMock.error, 1);
+            });
+        });
+
+        it('returns default Git App name when SCM context does not match any ALM setting', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'Sonar [git.example.com]',
+                            alm: 'github',
+                            url: 'https://git.example.com'
+                        },
+                        {
+                            key: 'Sonar [gitlab.com]',
+                            alm: 'gitlab',
+                            url: 'https://gitlab.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse); // alm_settings/list
+            requestMock.onCall(1).rejects(notBound); // get_binding returns 404
+            requestMock.onCall(2).resolves(null); // set_github_binding
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+                assert.callCount(loggerMock.error, 1);
+            });
+        });
+
+        it('does not call set_github_binding when binding already exists', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'gh1',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).resolves({ body: { repository: projectName } });
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, { status: 'unchanged', repository: projectName });
+                assert.callCount(requestMock, 2);
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+            });
+        });
+
+        it('updates the binding when the repository has been renamed', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'gh1',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).resolves({ body: { alm: 'github', key: 'gh1', repository: 'ppaul/oldname' } });
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, {
+                    status: 'renamed',
+                    repository: projectName,
+                    previousRepository: 'ppaul/oldname'
+                });
+                assert.callCount(requestMock, 3);
+                assert.calledWith(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        method: 'POST',
+                        url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=gh1&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=false`
+                    })
+                );
+                assert.calledWith(
+                    loggerMock.info,
+                    'Repository of Sonar project pipeline:123 has been renamed from ppaul/oldname to ppaul/covtest, updating binding'
+                );
+                assert.neverCalledWith(loggerMock.info, sinon.match('Binding does not exist'));
+            });
+        });
+
+        it('reports a created binding when the project is not bound yet', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).rejects({ statusCode: 404, message: 'Project is not bound' });
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, {
+                    status: 'created',
+                    repository: projectName,
+                    previousRepository: undefined
+                });
+                assert.calledWith(loggerMock.info, 'Binding does not exist for Sonar project pipeline:123, adding');
+            });
+        });
+
+        it('reports a failed binding without throwing', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).resolves({ body: { repository: 'ppaul/oldname' } });
+            requestMock.onCall(2).rejects({ statusCode: 500, message: '500 - internal server error' });
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, { status: 'failed', repository: 'ppaul/oldname' });
+                assert.callCount(loggerMock.error, 1);
+            });
+        });
+
+        describe('with other ALM types', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        { key: 'Sonar [github.com]', alm: 'github', url: 'https://api.github.com' },
+                        { key: 'Sonar [gitlab.com]', alm: 'gitlab', url: 'https://gitlab.com/api/v4' },
+                        {
+                            key: 'Sonar [bitbucket.example.com]',
+                            alm: 'bitbucket',
+                            url: 'https://bitbucket.example.com'
+                        },
+                        { key: 'Sonar [bitbucket.org]', alm: 'bitbucketcloud' },
+                        { key: 'Sonar [dev.azure.com]', alm: 'azure', url: 'https://dev.azure.com/org' }
+                    ]
+                }
+            };
+
+            beforeEach(() => {
+                requestMock.onCall(0).resolves(almResponse);
+                requestMock.onCall(1).rejects(notBound);
+                requestMock.onCall(2).resolves(null);
+            });
+
+            describe('GitLab', () => {
+                const reposResponse = {
+                    body: {
+                        repositories: [
+                            { id: 4242, name: 'project', slug: 'project', pathSlug: 'other-group' },
+                            { id: 1234, name: 'project', slug: 'project', pathSlug: 'group' }
+                        ]
+                    }
+                };
+
+                beforeEach(() => {
+                    requestMock.onCall(2).resolves(reposResponse);
+                    requestMock.onCall(3).resolves(null);
+                });
+
+                it('binds GitLab projects by ID', () =>
+                    enterpriseSonarPlugin
+                        .configureGitApp(projectKey, 'group/project', 'gitlab:gitlab.com')
+                        .then(result => {
+                            assert.deepEqual(result, {
+                                status: 'created',
+                                repository: 'group/project',
+                                previousRepository: undefined
+                            });
+                            assert.calledWith(
+                                requestMock.thirdCall,
+                                sinon.match({
+                                    url: 'https://sonar.screwdriver.cd/api/alm_integrations/search_gitlab_repos?almSetting=Sonar%20%5Bgitlab.com%5D&projectName=project&ps=100'
+                                })
+                            );
+                            assert.calledWith(
+                                requestMock.getCall(3),
+                                sinon.match({
+                                    url: 'https://sonar.screwdriver.cd/api/alm_settings/set_gitlab_binding?almSetting=Sonar%20%5Bgitlab.com%5D&project=pipeline%3A123&repository=1234&monorepo=false'
+                                })
+                            );
+                        }));
+
+                it('does not update bindings of the same GitLab project', () => {
+                    requestMock.onCall(1).resolves({ body: { alm: 'gitlab', repository: '1234' } });
+
+                    return enterpriseSonarPlugin
+                        .configureGitApp(projectKey, 'group/project', 'gitlab:gitlab.com')
+                        .then(result => {
+                            assert.deepEqual(result, { status: 'unchanged', repository: '1234' });
+                            assert.callCount(requestMock, 3);
+                        });
+                });
+
+                it('skips GitLab projects that are not found', () => {
+                    requestMock.onCall(2).resolves({ body: { repositories: [] } });
+
+                    return enterpriseSonarPlugin
+                        .configureGitApp(projectKey, 'group/project', 'gitlab:gitlab.com')
+                        .then(result => {
+                            assert.deepEqual(result, { status: 'skipped', repository: undefined });
+                            assert.callCount(requestMock, 3);
+                            assert.calledWith(
+                                loggerMock.warn,
+                                'GitLab project group/project is not found with Git App Sonar [gitlab.com], skipping binding'
+                            );
+                        });
+                });
+
+                it('does not bind GitLab projects if it fails to get their ID', () => {
+                    requestMock.onCall(2).rejects({
+                        statusCode: 400,
+                        message: '400 Reason "No personal access token found"'
+                    });
+
+                    return enterpriseSonarPlugin
+                        .configureGitApp(projectKey, 'group/project', 'gitlab:gitlab.com')
+                        .then(result => {
+                            assert.deepEqual(result, { status: 'failed', repository: undefined });
+                            assert.callCount(requestMock, 3);
+                            assert.calledWith(
+                                loggerMock.error,
+                                'Failed to get ID of GitLab project group/project: 400 Reason "No personal access token found"'
+                            );
+                        });
+                });
+            });
+
+            it('binds Bitbucket Server repositories', () =>
+                enterpriseSonarPlugin
+                    .configureGitApp(projectKey, 'PROJ/my-repo', 'bitbucket:bitbucket.example.com')
+                    .then(result => {
+                        assert.strictEqual(result.status, 'created');
+                        assert.calledWith(
+                            requestMock.thirdCall,
+                            sinon.match({
+                                url: 'https://sonar.screwdriver.cd/api/alm_settings/set_bitbucket_binding?almSetting=Sonar%20%5Bbitbucket.example.com%5D&project=pipeline%3A123&repository=PROJ&slug=my-repo&monorepo=false'
+                            })
+                        );
+                    }));
+
+            it('binds Bitbucket Cloud repositories', () =>
+                enterpriseSonarPlugin
+                    .configureGitApp(projectKey, 'workspace/my-repo', 'bitbucket:bitbucket.org')
+                    .then(() => {
+                        assert.calledWith(
+                            requestMock.thirdCall,
+                            sinon.match({
+                                url: 'https://sonar.screwdriver.cd/api/alm_settings/set_bitbucketcloud_binding?almSetting=Sonar%20%5Bbitbucket.org%5D&project=pipeline%3A123&repository=my-repo&monorepo=false'
+                            })
+                        );
+                    }));
+
+            it('binds Azure DevOps repositories', () =>
+                enterpriseSonarPlugin.configureGitApp(projectKey, 'project/my-repo', 'azure:dev.azure.com').then(() => {
+                    assert.calledWith(
+                        requestMock.thirdCall,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/alm_settings/set_azure_binding?almSetting=Sonar%20%5Bdev.azure.com%5D&project=pipeline%3A123&projectName=project&repositoryName=my-repo&monorepo=false'
+                        })
+                    );
+                }));
+
+            it('uses the SCM type when no ALM setting matches', () => {
+                requestMock.onCall(0).resolves({ body: { almSettings: [] } });
+                requestMock.onCall(2).resolves({
+                    body: { repositories: [{ id: 1234, slug: 'project', pathSlug: 'group' }] }
+                });
+                requestMock.onCall(3).resolves(null);
+
+                return enterpriseSonarPlugin
+                    .configureGitApp(projectKey, 'group/project', 'gitlab:gitlab.example.com')
+                    .then(() => {
+                        assert.calledWith(
+                            requestMock.getCall(3),
+                            sinon.match({
+                                url: sinon.match(
+                                    '/api/alm_settings/set_gitlab_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks'
+                                )
+                            })
+                        );
+                    });
+            });
+
+            it('does not update Bitbucket Server bindings of the same repository', () => {
+                requestMock.onCall(1).resolves({ body: { alm: 'bitbucket', repository: 'PROJ', slug: 'my-repo' } });
+
+                return enterpriseSonarPlugin
+                    .configureGitApp(projectKey, 'PROJ/my-repo', 'bitbucket:bitbucket.example.com')
+                    .then(result => {
+                        assert.deepEqual(result, { status: 'unchanged', repository: 'PROJ/my-repo' });
+                        assert.callCount(requestMock, 2);
+                    });
+            });
+
+            it('updates Bitbucket Server bindings of renamed repositories', () => {
+                requestMock.onCall(1).resolves({ body: { alm: 'bitbucket', repository: 'PROJ', slug: 'old-repo' } });
+
+                return enterpriseSonarPlugin
+                    .configureGitApp(projectKey, 'PROJ/my-repo', 'bitbucket:bitbucket.example.com')
+                    .then(result => {
+                        assert.deepEqual(result, {
+                            status: 'renamed',
+                            repository: 'PROJ/my-repo',
+                            previousRepository: 'PROJ/old-repo'
+                        });
+                        assert.calledWith(
+                            requestMock.thirdCall,
+                            sinon.match({ url: sinon.match('/api/alm_settings/set_bitbucket_binding?') })
+                        );
+                    });
+            });
+        });
+
+        it('binds repositories as monorepos when configured', () => {
+            enterpriseConfig.sonarMonorepo = true;
+            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+                assert.calledWith(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=gh1&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=true`
+                    })
+                );
+            });
+        });
+
+        it('updates the binding when the monorepo mode has changed', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).resolves({ body: { repository: projectName, monorepo: false } });
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com', true).then(result => {
+                assert.deepEqual(result, {
+                    status: 'updated',
+                    repository: projectName,
+                    previousRepository: projectName
+                });
+                assert.calledWith(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=gh1&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=true`
+                    })
+                );
+            });
+        });
+
+        it('does not update monorepo bindings of the same repository', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).resolves({ body: { repository: projectName, monorepo: true } });
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com', true).then(result => {
+                assert.deepEqual(result, { status: 'unchanged', repository: projectName });
+                assert.callCount(requestMock, 2);
+            });
+        });
+
+        it('does not bind the repository if it fails to get the binding', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).rejects({ statusCode: 500, message: '500 - internal server error' });
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, { status: 'failed' });
+                assert.callCount(requestMock, 2);
+                assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('set_github_binding') }));
+                assert.calledWith(
+                    loggerMock.error,
+                    'Failed to get binding of Sonar project pipeline:123: 500 - internal server error'
+                );
+            });
+        });
+
+        it('does not log binding changes that are skipped', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [{ key: 'gh1', alm: 'github' }] } });
+            requestMock.onCall(1).resolves({ body: { repository: 'd2lam/oldname' } });
+
+            return sonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, { status: 'skipped', repository: 'd2lam/oldname' });
+                assert.notCalled(loggerMock.info);
+            });
+        });
+
+        it('works with non-enterprise Sonar', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'gh1',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).rejects(notBound);
+
+            return sonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(result => {
+                assert.deepEqual(result, { status: 'skipped', repository: undefined });
+                assert.callCount(requestMock, 2);
+                assert.neverCalledWith(loggerMock.info, sinon.match('Binding does not exist'));
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+            });
+        });
+
+        it('extracts host from scmContext with colon separator (github:github.com)', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'Sonar [github.com]',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github:github.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgithub.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+            });
+        });
+
+        it('extracts host from scmContext with colon separator (github:git.example.com)', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'Sonar [git.example.com]',
+                            alm: 'github',
+                            url: 'https://git.example.com'
+                        },
+                        {
+                            key: 'Sonar [github.com]',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
+
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github:git.example.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgit.example.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+            });
+        });
+
+        it('handles scmContext without colon separator (backward compatibility)', () => {
+            const almResponse = {
+                body: {
+                    almSettings: [
+                        {
+                            key: 'Sonar [github.com]',
+                            alm: 'github',
+                            url: 'https://api.github.com'
+                        }
+                    ]
+                }
+            };
 
-        beforeEach(() => {
-            requestMock.onCall(0).resolves(null); // createProject
-            requestMock.onCall(1).resolves(almResponse); // alm_settings/list
-            requestMock.onCall(2).rejects(); // get_binding returns 404
-            requestMock.onCall(3).resolves(null); // createUser
-            requestMock.onCall(4).resolves(null); // grantUserPermission
-            requestMock.onCall(5).resolves({ body: { token: 'accesstoken' } }); // generateToken
+            requestMock.onCall(0).resolves(almResponse);
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+                assert.callCount(requestMock, 3);
+                assert.call(
+                    requestMock.thirdCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgithub.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+            });
         });
 
-        it('gets an access token successfully', () => {
-            const projectKey = 'job:1';
+        it('returns default Git App name when scmContext is null or undefined', () => {
+            requestMock.onCall(0).rejects(notBound);
+            requestMock.onCall(1).resolves(null);
 
-            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
-                assert.callCount(requestMock, 6);
-                assert.call(
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, null).then(() => {
+                assert.callCount(requestMock, 2);
+                assert.calledWith(
                     requestMock.firstCall,
                     sinon.match({
-                        url: `https://sonar.screwdriver.cd/api/projects/create?project=${projectKey}&name=${projectKey}`
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
                     })
                 );
                 assert.call(
                     requestMock.secondCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
                     })
                 );
-                assert.strictEqual(result, 'accesstoken');
+                assert.callCount(loggerMock.error, 1);
             });
         });
 
-        it('gets an access token successfully for enterprise', () => {
-            const projectKey = 'pipeline:123';
-            const projectName = 'd2lam/mytest';
-            const username = 'user-pipeline-123';
+        it('returns default Git App name when scmContext is empty string', () => {
+            requestMock.onCall(0).rejects(notBound);
+            requestMock.onCall(1).resolves(null);
 
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
-            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
+            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, '').then(() => {
+                assert.callCount(requestMock, 2);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                    })
+                );
+                assert.call(
+                    requestMock.secondCall,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                    })
+                );
+                assert.callCount(loggerMock.error, 1);
+            });
+        });
+    });
+    describe('configurePermissions', () => {
+        const projectKey = 'pipeline:123';
 
-            return enterpriseSonarPlugin
-                .getAccessToken({ buildCredentials, projectKey, username, projectName })
-                .then(result => {
-                    assert.callCount(requestMock, 7);
-                    assert.call(
-                        requestMock.firstCall,
-                        sinon.match({
-                            url: `https://sonar.screwdriver.cd/api/projects/create?project=${projectKey}&name=${projectKey}`
-                        })
-                    );
-                    assert.call(
-                        requestMock.secondCall,
-                        sinon.match({
-                            url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
-                        })
-                    );
-                    assert.call(
-                        requestMock.fourthCall,
-                        sinon.match({
-                            url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=${gitAppEncoded}&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=false`
-                        })
-                    );
-                    assert.call(
-                        requestMock.fifthCall,
-                        sinon.match({
-                            url: `https://sonar.screwdriver.cd/api/permissions/add_user?login=${username}&permission=scan&projectKey=${projectKey}`
-                        })
-                    );
-                    assert.strictEqual(result, 'accesstoken');
-                });
+        beforeEach(() => {
+            config.permissionTemplate = 'Screwdriver Projects';
+            config.groupPermissions = [
+                { group: 'sd-{org}', permissions: ['user', 'issueadmin'] },
+                { group: '{pipelineName}-admins', permissions: ['admin'] }
+            ];
+            sonarPlugin = new SonarPlugin(config);
         });
 
-        it('gets an access token successfully with existing pipeline', () => {
-            requestMock.onCall(0).rejects({
-                statusCode: 400,
-                message: 'Project already exists.'
-            });
+        it('grants group permissions derived from the pipeline', () =>
+            sonarPlugin.configurePermissions(projectKey, { pipelineName: 'd2lam/mytest', created: true }).then(() => {
+                assert.callCount(requestMock, 4);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({ url: sinon.match('/api/permissions/apply_template?projectKey=pipeline:123') })
+                );
+                assert.calledWith(
+                    requestMock,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/permissions/add_group?groupName=sd-d2lam&permission=issueadmin&projectKey=pipeline:123'
+                    })
+                );
+                assert.calledWith(
+                    requestMock,
+                    sinon.match({
+                        url: 'https://sonar.screwdriver.cd/api/permissions/add_group?groupName=d2lam%2Fmytest-admins&permission=admin&projectKey=pipeline:123'
+                    })
+                );
+            }));
 
-            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
-                assert.callCount(requestMock, 6);
-                assert.strictEqual(result, 'accesstoken');
-            });
-        });
+        it('does not apply the permission template to existing projects', () =>
+            sonarPlugin.configurePermissions(projectKey, { pipelineName: 'd2lam/mytest', created: false }).then(() => {
+                assert.callCount(requestMock, 3);
+                assert.neverCalledWith(
+                    requestMock,
+                    sinon.match({ url: sinon.match('/api/permissions/apply_template') })
+                );
+            }));
 
-        it('gets an access token successfully with existing user', () => {
-            requestMock.onCall(3).rejects({
-                statusCode: 400,
-                message: 'user already exists.'
-            });
+        it('skips groups that do not exist', () => {
+            requestMock.onCall(0).rejects({ statusCode: 404, message: "404 - No group with name 'sd-d2lam'" });
 
-            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
-                assert.callCount(requestMock, 6);
-                assert.strictEqual(result, 'accesstoken');
+            return sonarPlugin.configurePermissions(projectKey, { pipelineName: 'd2lam/mytest' }).then(() => {
+                assert.callCount(loggerMock.warn, 1);
             });
         });
 
-        it('throws err if failed to create/locate projects', () => {
-            requestMock.onCall(0).rejects({
-                statusCode: 500,
-                message: '500 - internal server error'
-            });
+        it('throws err if failed to apply the permission template', () => {
+            requestMock.onCall(0).rejects({ statusCode: 500, message: '500 - internal server error' });
 
             return sonarPlugin
-                .getAccessToken({ buildCredentials })
+                .configurePermissions(projectKey, { pipelineName: 'd2lam/mytest', created: true })
                 .then(() => {
                     assert.throws(new Error('should not get here'));
                 })
                 .catch(err =>
-                    assert.deepEqual(err.message, 'Failed to create project job:1: 500 - internal server error')
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to apply permission template Screwdriver Projects to project pipeline:123: 500 - internal server error'
+                    )
                 );
         });
+    });
 
-        it('does not throw if failed to configure Git App', () => {
-            requestMock.onCall(3).rejects({
-                statusCode: 500,
-                message: '500 - internal server error'
-            });
-
-            const projectKey = 'pipeline:123';
-            const projectName = 'd2lam/mytest';
-            const username = 'user-pipeline-123';
-
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
-            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
-
-            // eslint-disable-next-line max-len
-            return enterpriseSonarPlugin
-                .getAccessToken({ buildCredentials, projectKey, username, projectName })
-                .then(result => {
-                    assert.callCount(requestMock, 7);
-                    assert.callCount(loggerMock.error, 1);
-                    assert.strictEqual(result, 'accesstoken');
-                });
-        });
-
-        it('does not configure Git App if binding already exists', () => {
-            requestMock.onCall(2).resolves({ repository: 'd2lam/mytest' });
-
-            const projectKey = 'pipeline:123';
-            const projectName = 'd2lam/mytest';
-            const username = 'user-pipeline-123';
+    describe('configureQualitySettings', () => {
+        const projectKey = 'pipeline:123';
 
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
-            requestMock.onCall(5).resolves({ body: { token: 'accesstoken' } });
+        it('selects the quality gate and adds a profile per language', () => {
+            requestMock.onCall(0).resolves({ body: { name: 'Strict' } });
+            requestMock.resolves({ body: { profiles: [{ key: 'profile' }] } });
 
-            // eslint-disable-next-line max-len
-            return enterpriseSonarPlugin
-                .getAccessToken({ buildCredentials, projectKey, username, projectName })
-                .then(result => {
+            return sonarPlugin
+                .configureQualitySettings(projectKey, {
+                    qualityGate: 'Strict',
+                    qualityProfiles: { js: 'Strict Way', java: 'Company Way' }
+                })
+                .then(() => {
                     assert.callCount(requestMock, 6);
-                    assert.callCount(loggerMock.error, 0);
-                    assert.strictEqual(result, 'accesstoken');
-                });
-        });
-
-        it('update Git App if project name has been changed', () => {
-            requestMock.onCall(2).resolves({ repository: 'd2lam/oldname' });
-
-            const projectKey = 'pipeline:123';
-            const projectName = 'd2lam/newname';
-            const username = 'user-pipeline-123';
-
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
-            requestMock.onCall(6).resolves({ body: { token: 'accesstoken' } });
-
-            // eslint-disable-next-line max-len
-            return enterpriseSonarPlugin
-                .getAccessToken({ buildCredentials, projectKey, username, projectName })
-                .then(result => {
-                    assert.callCount(requestMock, 7);
-                    assert.callCount(loggerMock.error, 0);
-                    assert.strictEqual(result, 'accesstoken');
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({ url: 'https://sonar.screwdriver.cd/api/qualitygates/show?name=Strict' })
+                    );
                     assert.calledWith(
                         requestMock,
                         sinon.match({
-                            url: `https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=${projectName}&summaryCommentEnabled=true&monorepo=false`
+                            url: 'https://sonar.screwdriver.cd/api/qualityprofiles/search?language=java&qualityProfile=Company%20Way'
+                        })
+                    );
+                    assert.calledWith(
+                        requestMock,
+                        sinon.match({
+                            url: 'https://sonar.screwdriver.cd/api/qualityprofiles/add_project?language=java&qualityProfile=Company%20Way&project=pipeline:123'
                         })
                     );
                 });
         });
 
-        it('throws err if failed to create/locate user', () => {
-            requestMock.onCall(3).rejects({
-                statusCode: 500,
-                message: '500 - internal server error'
-            });
+        it('does nothing without quality settings', () =>
+            sonarPlugin.configureQualitySettings(projectKey, {}).then(() => {
+                assert.notCalled(requestMock);
+            }));
+
+        it('throws err if the quality profile does not exist', () => {
+            requestMock.onCall(0).resolves({ body: { profiles: [] } });
 
             return sonarPlugin
-                .getAccessToken({ buildCredentials })
+                .addQualityProfile(projectKey, 'js', 'Missing')
                 .then(() => {
                     assert.throws(new Error('should not get here'));
                 })
-                .catch(err =>
-                    assert.deepEqual(err.message, 'Failed to create user user-job-1: 500 - internal server error')
-                );
+                .catch(err => {
+                    assert.deepEqual(err.message, 'Quality profile Missing does not exist for language js');
+                    assert.callCount(requestMock, 1);
+                });
         });
 
-        it('throws err if failed to grant user permission', () => {
-            requestMock.onCall(4).rejects({
-                statusCode: 500,
-                message: '500 - internal server error'
-            });
+        it('throws err if the language does not exist', () => {
+            requestMock
+                .onCall(0)
+                .rejects({ statusCode: 400, message: "400 - Value of parameter 'language' is invalid" });
 
             return sonarPlugin
-                .getAccessToken({ buildCredentials })
+                .addQualityProfile(projectKey, 'cobol2', 'Strict')
                 .then(() => {
                     assert.throws(new Error('should not get here'));
                 })
                 .catch(err =>
-                    assert.deepEqual(
-                        err.message,
-                        'Failed to grant user user-job-1 permission: 500 - internal server error'
-                    )
+                    assert.deepEqual(err.message, 'Quality profile Strict does not exist for language cobol2')
                 );
         });
 
-        it('it throws err if failed to generate user token', () => {
-            requestMock.onCall(5).rejects({
-                statusCode: 500,
-                message: '500 - internal server error'
-            });
+        it('throws err if failed to select the quality gate', () => {
+            requestMock.onCall(1).rejects({ statusCode: 500, message: '500 - internal server error' });
 
             return sonarPlugin
-                .getAccessToken({ buildCredentials })
+                .selectQualityGate(projectKey, 'Strict')
                 .then(() => {
                     assert.throws(new Error('should not get here'));
                 })
                 .catch(err =>
                     assert.deepEqual(
                         err.message,
-                        'Failed to generate user user-job-1 token: 500 - internal server error'
+                        'Failed to select quality gate Strict for project pipeline:123: 500 - internal server error'
                     )
                 );
         });
     });
 
-    describe('getProjectData', () => {
-        const buildCredentials = { jobId: 1, pipelineId: 123 };
-
-        beforeEach(() => {
-            requestMock.onCall(1).rejects();
-            requestMock.onCall(4).resolves({ body: { token: 'accesstoken' } });
-        });
-
-        it('gets projectUrl with pipeline scope from projectKey', () => {
-            const projectKey = 'pipeline:123';
-            const projectName = 'd2lam/mytest';
-            const username = 'user-pipeline-123';
-            const projectUrl = 'https://sonar.screwdriver.cd/dashboard?id=pipeline%3A123';
-
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
+    describe('sweepTokens', () => {
+        it('revokes expired and stale tokens of the project user', () => {
+            const clock = sinon.useFakeTimers(new Date('2024-01-10T00:00:00.000Z').getTime());
 
-            const result = enterpriseSonarPlugin.getProjectData({
-                buildCredentials,
-                projectKey,
-                username,
-                projectName
+            requestMock.onCall(0).resolves({
+                body: {
+                    userTokens: [
+                        { name: 'sd-job-1-build-99', createdAt: '2024-01-09T23:00:00+0000' },
+                        { name: 'old-token', createdAt: '2024-01-01T00:00:00+0000' },
+                        { name: 'expired-token', createdAt: '2024-01-09T00:00:00+0000', isExpired: true }
+                    ]
+                }
             });
 
-            assert.strictEqual(result.projectUrl, projectUrl, 'Pipeline scope has projectUrl');
-        });
-
-        it('get projectUrl with pipeline scope from pipelineId without projectKey', () => {
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
-
-            const projectUrl = 'https://sonar.screwdriver.cd/dashboard?id=pipeline%3A123';
-            const result = enterpriseSonarPlugin.getProjectData({
-                buildCredentials,
-                pipelineId: 123,
-                pipelineName: 'd2lam/mytest',
-                scope: 'pipeline'
+            return sonarPlugin.sweepTokens({ projectKey: 'pipeline:123' }).then(result => {
+                clock.restore();
+                assert.callCount(requestMock, 3);
+                assert.calledWith(
+                    requestMock.firstCall,
+                    sinon.match({ url: 'https://sonar.screwdriver.cd/api/user_tokens/search?login=user-pipeline-123' })
+                );
+                assert.deepEqual(result, ['old-token', 'expired-token']);
             });
-
-            assert.strictEqual(result.projectUrl, projectUrl, 'Pipeline scope has projectUrl');
         });
     });
 
-    describe('configureGitApp', () => {
-        const projectKey = 'pipeline:123';
-        const projectName = 'ppaul/covtest';
-
-        beforeEach(() => {
-            enterpriseSonarPlugin = new SonarPlugin(enterpriseConfig);
-        });
-
-        it('selects the only ALM setting when there is one', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'gh1',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
-                }
-            };
+    describe('deleteProject', () => {
+        const tokensResponse = {
+            body: {
+                login: 'user-job-1',
+                userTokens: [{ name: 'token-a' }, { name: 'token-b' }]
+            }
+        };
 
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).rejects();
-            requestMock.onCall(2).resolves(null);
+        it('revokes tokens, deactivates the user and deletes the project', () => {
+            requestMock.onCall(0).resolves(tokensResponse); // user_tokens/search
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
-                assert.callCount(requestMock, 3);
+            return sonarPlugin.deleteProject({ projectKey: 'job:1' }).then(result => {
+                assert.callCount(requestMock, 5);
                 assert.calledWith(
                     requestMock.firstCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                        method: 'GET',
+                        url: 'https://sonar.screwdriver.cd/api/user_tokens/search?login=user-job-1'
                     })
                 );
                 assert.calledWith(
                     requestMock.secondCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                        method: 'POST',
+                        url: 'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=token-a'
                     })
                 );
-                assert.call(
+                assert.calledWith(
                     requestMock.thirdCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=gh1&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                        method: 'POST',
+                        url: 'https://sonar.screwdriver.cd/api/user_tokens/revoke?login=user-job-1&name=token-b'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.getCall(3),
+                    sinon.match({
+                        method: 'POST',
+                        url: 'https://sonar.screwdriver.cd/api/users/deactivate?login=user-job-1'
+                    })
+                );
+                assert.calledWith(
+                    requestMock.getCall(4),
+                    sinon.match({
+                        method: 'POST',
+                        url: 'https://sonar.screwdriver.cd/api/projects/delete?project=job%3A1'
                     })
                 );
+                assert.deepEqual(result, {
+                    projectKey: 'job:1',
+                    username: 'user-job-1',
+                    revokedTokens: ['token-a', 'token-b']
+                });
             });
         });
 
-        it('selects ALM setting by SCM context when multiple exist', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'Sonar [git.example.com]',
-                            alm: 'github',
-                            url: 'https://git.example.com'
-                        },
-                        {
-                            key: 'Sonar [github.com]',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
-                }
-            };
-
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).rejects();
-            requestMock.onCall(2).resolves(null);
-
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+        it('deprovisions pipeline scoped projects', () =>
+            sonarPlugin.deleteProject({ projectKey: 'pipeline:123' }).then(result => {
                 assert.callCount(requestMock, 3);
                 assert.calledWith(
-                    requestMock.firstCall,
+                    requestMock.secondCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
+                        url: 'https://sonar.screwdriver.cd/api/users/deactivate?login=user-pipeline-123'
                     })
                 );
                 assert.calledWith(
-                    requestMock.secondCall,
+                    requestMock.thirdCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                        url: 'https://sonar.screwdriver.cd/api/projects/delete?project=pipeline%3A123'
                     })
                 );
-                assert.call(
+                assert.deepEqual(result, {
+                    projectKey: 'pipeline:123',
+                    username: 'user-pipeline-123',
+                    revokedTokens: []
+                });
+            }));
+
+        it('revokes project analysis tokens when they are provisioned', () => {
+            config.provisioningMode = 'project';
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(1).resolves({
+                body: {
+                    userTokens: [
+                        { name: 'sd-job-1-build-99', project: { key: 'job:1' } },
+                        { name: 'sd-job-2-build-98', project: { key: 'job:2' } },
+                        { name: 'admin-token' }
+                    ]
+                }
+            });
+
+            return sonarPlugin.deleteProject({ projectKey: 'job:1' }).then(result => {
+                assert.callCount(requestMock, 5);
+                assert.calledWith(
                     requestMock.thirdCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgithub.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
-                    })
+                    sinon.match({ url: 'https://sonar.screwdriver.cd/api/user_tokens/revoke?name=sd-job-1-build-99' })
                 );
+                assert.deepEqual(result.revokedTokens, ['sd-job-1-build-99']);
             });
         });
 
-        it('returns default Git App name when no ALM settings exist', () => {
-            const almResponse = {
-                body: {
-                    almSettings: []
-                }
-            };
+        it('does not fail if the user and project are already gone', () => {
+            const notFound = { statusCode: 404, message: '404 - not found' };
 
-            requestMock.onCall(0).resolves(almResponse); // alm_settings/list
-            requestMock.onCall(1).rejects(); // get_binding returns 404
-            requestMock.onCall(2).resolves(null); // set_github_binding
+            requestMock.onCall(0).rejects(notFound);
+            requestMock.onCall(1).rejects(notFound);
+            requestMock.onCall(2).rejects(notFound);
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
+            return sonarPlugin.deleteProject({ projectKey: 'job:1' }).then(result => {
                 assert.callCount(requestMock, 3);
+                assert.deepEqual(result.revokedTokens, []);
+            });
+        });
+
+        it('throws err if failed to delete the project', () => {
+            requestMock.onCall(2).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .deleteProject({ projectKey: 'job:1' })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(err.message, 'Failed to delete project job:1: 500 - internal server error')
+                );
+        });
+
+        it('throws err if failed to revoke tokens', () => {
+            requestMock.onCall(0).resolves(tokensResponse);
+            requestMock.onCall(1).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin
+                .deleteProject({ projectKey: 'job:1' })
+                .then(() => {
+                    assert.throws(new Error('should not get here'));
+                })
+                .catch(err =>
+                    assert.deepEqual(
+                        err.message,
+                        'Failed to revoke user user-job-1 token token-a: 500 - internal server error'
+                    )
+                );
+        });
+    });
+
+    describe('cleanup', () => {
+        it('deprovisions the pipeline project and every job project', () =>
+            sonarPlugin.cleanup({ pipelineId: 123, jobIds: [1, 2] }).then(result => {
+                assert.callCount(requestMock, 9);
                 assert.calledWith(
-                    requestMock.firstCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
-                    })
+                    requestMock.getCall(2),
+                    sinon.match({ url: 'https://sonar.screwdriver.cd/api/projects/delete?project=pipeline%3A123' })
                 );
                 assert.calledWith(
-                    requestMock.secondCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
-                    })
+                    requestMock.getCall(5),
+                    sinon.match({ url: 'https://sonar.screwdriver.cd/api/projects/delete?project=job%3A1' })
                 );
-                assert.call(
-                    requestMock.thirdCall,
+                assert.calledWith(
+                    requestMock.getCall(8),
+                    sinon.match({ url: 'https://sonar.screwdriver.cd/api/projects/delete?project=job%3A2' })
+                );
+                assert.deepEqual(
+                    result.map(({ projectKey }) => projectKey),
+                    ['pipeline:123', 'job:1', 'job:2']
+                );
+            }));
+
+        it('keeps going and reports projects that failed to be deprovisioned', () => {
+            requestMock.onCall(2).rejects({
+                statusCode: 500,
+                message: '500 - internal server error'
+            });
+
+            return sonarPlugin.cleanup({ jobIds: [1, 2] }).then(result => {
+                assert.callCount(requestMock, 6);
+                assert.callCount(loggerMock.error, 1);
+                assert.deepEqual(result[0], {
+                    projectKey: 'job:1',
+                    error: 'Failed to delete project job:1: 500 - internal server error'
+                });
+                assert.deepEqual(result[1], {
+                    projectKey: 'job:2',
+                    username: 'user-job-2',
+                    revokedTokens: []
+                });
+            });
+        });
+    });
+    describe('detectServer', () => {
+        const statusResponse = { body: { id: 'sonar', version: '10.4.1.88267', status: 'UP' } };
+        const validResponse = { body: { valid: true } };
+        const navigationResponse = { body: { edition: 'enterprise', canAdmin: true } };
+
+        beforeEach(() => {
+            requestMock.onCall(0).resolves(statusResponse);
+            requestMock.onCall(1).resolves(validResponse);
+            requestMock.onCall(2).resolves(navigationResponse);
+        });
+
+        it('detects the version, edition and features of the server', () =>
+            sonarPlugin.detectServer().then(result => {
+                assert.calledWith(
+                    requestMock,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                        url: 'https://sonar.screwdriver.cd/api/authentication/validate',
+                        username: 'faketoken'
                     })
                 );
-                assert.callCount(loggerMock.error, 1);
+                assert.deepEqual(result, {
+                    status: 'UP',
+                    version: '10.4.1.88267',
+                    edition: 'enterprise',
+                    tokenValid: true,
+                    features: { branches: true, pullRequests: true, almBindings: true, projectTokens: true }
+                });
+                // the configured edition is kept
+                assert.isFalse(sonarPlugin.sonarEnterprise);
+            }));
+
+        it('detects community servers', () => {
+            requestMock.onCall(0).resolves({ body: { version: '9.4.0.54424', status: 'UP' } });
+            requestMock.onCall(2).resolves({ body: { edition: 'community' } });
+
+            return sonarPlugin.detectServer().then(result => {
+                assert.strictEqual(result.edition, 'community');
+                assert.deepEqual(result.features, {
+                    branches: false,
+                    pullRequests: false,
+                    almBindings: false,
+                    projectTokens: false
+                });
             });
         });
 
-        it('returns default Git App name when SCM context does not match any ALM setting', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'Sonar [git.example.com]',
-                            alm: 'github',
-                            url: 'https://git.example.com'
-                        },
-                        {
-                            key: 'Sonar [gitlab.com]',
-                            alm: 'gitlab',
-                            url: 'https://gitlab.com'
-                        }
-                    ]
-                }
-            };
+        it('auto-detects sonarEnterprise before the first build', () => {
+            config.sonarEnterprise = 'auto';
+            sonarPlugin = new SonarPlugin(config);
+
+            return Promise.all([
+                sonarPlugin.getInfo({
+                    pipelineId: '123',
+                    jobId: '1',
+                    jobName: 'main',
+                    pipelineName: 'd2lam/mytest'
+                }),
+                sonarPlugin.getUploadCoverageCmd({
+                    build: {},
+                    pipeline: { id: 123, name: 'd2lam/mytest' },
+                    job: { id: 456, name: 'main', permutations: [{}] }
+                })
+            ]).then(([result, cmd]) => {
+                assert.isTrue(sonarPlugin.sonarEnterprise);
+                assert.strictEqual(result.envVars.SD_SONAR_ENTERPRISE, true);
+                assert.strictEqual(result.envVars.SD_SONAR_PROJECT_KEY, 'pipeline:123');
+                assert.include(cmd, '"$SD_SONAR_ENTERPRISE" = true');
+                assert.include(cmd, 'https://sonar.screwdriver.cd');
+            });
+        });
+
+        it('disables enterprise features if the edition cannot be detected', () => {
+            config.sonarEnterprise = 'auto';
+            requestMock.onCall(1).rejects({ statusCode: 401, message: '401 Reason "Unauthorized"' });
+            sonarPlugin = new SonarPlugin(config);
+
+            return sonarPlugin
+                .getInfo({ pipelineId: '123', jobId: '1', jobName: 'main', pipelineName: 'd2lam/mytest' })
+                .then(result => {
+                    assert.calledWith(
+                        loggerMock.error,
+                        'Failed to detect Sonar server https://sonar.screwdriver.cd: 401 Reason "Unauthorized", ' +
+                            'detecting it again on the next builds'
+                    );
+                    assert.strictEqual(result.envVars.SD_SONAR_ENTERPRISE, false);
+                    assert.strictEqual(result.envVars.SD_SONAR_PROJECT_KEY, 'job:1');
+                });
+        });
+
+        it('detects the edition again on a later build if it could not be detected', () => {
+            const clock = sinon.useFakeTimers({
+                now: new Date('2024-01-10T00:00:00.000Z').getTime(),
+                toFake: ['Date']
+            });
+            const buildConfig = { pipelineId: '123', jobId: '1', jobName: 'main', pipelineName: 'd2lam/mytest' };
+
+            config.sonarEnterprise = 'auto';
+            requestMock.onCall(0).rejects({ statusCode: 503, message: '503 Reason "Service Unavailable"' });
+            sonarPlugin = new SonarPlugin(config);
+
+            return sonarPlugin
+                .getInfo(buildConfig)
+                .then(() => {
+                    assert.isFalse(sonarPlugin.sonarEnterprise);
+                    requestMock.resetHistory();
+
+                    return sonarPlugin.getInfo(buildConfig);
+                })
+                .then(() => {
+                    assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('/api/system/status') }));
+                    clock.tick(60 * 1000);
+                    requestMock.reset();
+                    requestMock.onCall(0).resolves({ body: { version: '10.4.1.88267', status: 'UP' } });
+                    requestMock.onCall(1).resolves({ body: { valid: true } });
+                    requestMock.onCall(2).resolves({ body: { edition: 'developer' } });
+
+                    return sonarPlugin.getInfo(buildConfig);
+                })
+                .then(result => {
+                    assert.isTrue(sonarPlugin.sonarEnterprise);
+                    assert.strictEqual(result.envVars.SD_SONAR_ENTERPRISE, true);
+                })
+                .finally(() => clock.restore());
+        });
+    });
+
+    describe('healthCheck', () => {
+        beforeEach(() => {
+            requestMock.onCall(0).resolves({ body: { version: '10.4.1.88267', status: 'UP' } });
+            requestMock.onCall(1).resolves({ body: { valid: true } });
+            requestMock.onCall(2).resolves({ body: { edition: 'developer' } });
+        });
 
-            requestMock.onCall(0).resolves(almResponse); // alm_settings/list
-            requestMock.onCall(1).rejects(); // get_binding returns 404
-            requestMock.onCall(2).resolves(null); // set_github_binding
+        it('reports a healthy server', () =>
+            sonarPlugin.healthCheck().then(result => {
+                assert.deepEqual(result, {
+                    sonarHost: 'https://sonar.screwdriver.cd',
+                    healthy: true,
+                    status: 'UP',
+                    version: '10.4.1.88267',
+                    edition: 'developer',
+                    tokenValid: true,
+                    features: { branches: true, pullRequests: true, almBindings: true, projectTokens: true },
+                    sonarEnterprise: false,
+                    circuitBreaker: 'closed'
+                });
+            }));
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
-                assert.callCount(requestMock, 3);
-                assert.calledWith(
-                    requestMock.firstCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
-                    })
-                );
-                assert.calledWith(
-                    requestMock.secondCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
-                    })
-                );
-                assert.call(
-                    requestMock.thirdCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
-                    })
-                );
-                assert.callCount(loggerMock.error, 1);
+        it('reports an invalid admin token', () => {
+            requestMock.onCall(1).resolves({ body: { valid: false } });
+
+            return sonarPlugin.healthCheck().then(result => {
+                assert.isFalse(result.healthy);
+                assert.isFalse(result.tokenValid);
             });
         });
 
-        it('does not call set_github_binding when binding already exists', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'gh1',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
-                }
-            };
-
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).resolves({ repository: projectName });
+        it('reports the health of routed servers', () => {
+            config.sonarServers = [
+                { name: 'example', sonarHost: 'https://sonar.example.com', adminToken: 'othertoken' }
+            ];
+            config.sonarRouting = [{ server: 'example', org: 'partner' }];
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(3).rejects({ statusCode: 503, message: '503 Reason "Service Unavailable"' });
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
-                assert.callCount(requestMock, 2);
-                assert.calledWith(
-                    requestMock.secondCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
-                    })
-                );
+            return sonarPlugin.healthCheck().then(result => {
+                assert.isFalse(result.healthy);
+                assert.deepEqual(result.servers.example, {
+                    sonarHost: 'https://sonar.example.com',
+                    healthy: false,
+                    error: 'Failed to detect Sonar server https://sonar.example.com: 503 Reason "Service Unavailable"',
+                    sonarEnterprise: false,
+                    circuitBreaker: 'closed'
+                });
             });
         });
+    });
 
-        it('works with non-enterprise Sonar', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'gh1',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
-                }
-            };
+    describe('sonarVersion', () => {
+        const buildCredentials = { jobId: 1, pipelineId: 123, scmContext: 'github:github.com', username: '99' };
+        const infoConfig = { pipelineId: '123', jobId: '1', jobName: 'main', pipelineName: 'd2lam/mytest' };
 
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).rejects();
+        it('uses the APIs of a configured older version', () => {
+            config.sonarVersion = '7.9';
+            config.provisioningMode = 'project';
+            sonarPlugin = new SonarPlugin(config);
+            requestMock.onCall(3).resolves({ body: { token: 'accesstoken' } }); // generateToken
+            requestMock.onCall(4).resolves({ body: { userTokens: [] } }); // user_tokens/search
 
-            return sonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
-                assert.callCount(requestMock, 2);
+            return sonarPlugin.getAccessToken({ buildCredentials }).then(result => {
+                assert.strictEqual(result, 'accesstoken');
+                assert.callCount(requestMock, 5);
                 assert.calledWith(
-                    requestMock.firstCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/list'
-                    })
+                    loggerMock.warn,
+                    'Sonar 7.9 does not support project analysis tokens; provisioning synthetic users'
                 );
+                assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('/api/alm_settings/') }));
+                assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match('/api/system/status') }));
                 assert.calledWith(
-                    requestMock.secondCall,
+                    requestMock.getCall(3),
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
+                        url: 'https://sonar.screwdriver.cd/api/user_tokens/generate?login=user-job-1&name=sd-job-1-build-99'
                     })
                 );
             });
         });
 
-        it('extracts host from scmContext with colon separator (github:github.com)', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'Sonar [github.com]',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
-                }
-            };
+        it('uses sonar.login in the scanner options before SonarQube 10', () => {
+            config.sonarVersion = '9.9';
+            sonarPlugin = new SonarPlugin(config);
 
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).rejects();
-            requestMock.onCall(2).resolves(null);
+            return sonarPlugin.getInfo(infoConfig).then(result => {
+                assert.strictEqual(result.envVars.SD_SONAR_TOKEN_PROPERTY, 'sonar.login');
+            });
+        });
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github:github.com').then(() => {
-                assert.callCount(requestMock, 3);
-                assert.call(
-                    requestMock.thirdCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgithub.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
-                    })
-                );
+        it('detects the version of the server', () => {
+            config.sonarVersion = 'auto';
+            requestMock.onCall(0).resolves({ body: { version: '9.9.2.77730', status: 'UP' } });
+            requestMock.onCall(1).resolves({ body: { valid: true } });
+            requestMock.onCall(2).resolves({ body: { edition: 'community' } });
+            sonarPlugin = new SonarPlugin(config);
+
+            return sonarPlugin.getInfo(infoConfig).then(result => {
+                assert.strictEqual(sonarPlugin.compatibility.version, '9.9.2.77730');
+                assert.strictEqual(result.envVars.SD_SONAR_TOKEN_PROPERTY, 'sonar.login');
+                assert.strictEqual(result.envVars.SD_SONAR_ENTERPRISE, false);
             });
         });
 
-        it('extracts host from scmContext with colon separator (github:git.example.com)', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'Sonar [git.example.com]',
-                            alm: 'github',
-                            url: 'https://git.example.com'
-                        },
-                        {
-                            key: 'Sonar [github.com]',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
+        it('throws err if the version is invalid', () => {
+            config.sonarVersion = 'lts';
+
+            assert.throws(() => new SonarPlugin(config), /Invalid config for sonar coverage plugin/);
+        });
+    });
+
+    describe('sonarRouting', () => {
+        const otherHost = 'https://sonar.example.com';
+
+        beforeEach(() => {
+            config.sonarServers = [
+                {
+                    name: 'example',
+                    sonarHost: otherHost,
+                    adminToken: 'othertoken',
+                    sonarEnterprise: true,
+                    sonarGitAppName: 'Example Sonar'
                 }
-            };
+            ];
+            config.sonarRouting = [
+                { server: 'example', scmContext: 'github:git.example.com' },
+                { server: 'example', org: 'partner' }
+            ];
+            sonarPlugin = new SonarPlugin(config);
+        });
 
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).rejects();
-            requestMock.onCall(2).resolves(null);
+        it('throws err if a routing rule targets an unknown server', () => {
+            config.sonarRouting = [{ server: 'missing', org: 'partner' }];
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github:git.example.com').then(() => {
-                assert.callCount(requestMock, 3);
-                assert.call(
-                    requestMock.thirdCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgit.example.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
-                    })
-                );
-            });
+            assert.throws(
+                () => new SonarPlugin(config),
+                'Invalid config for sonar coverage plugin: unknown Sonar server missing'
+            );
         });
 
-        it('handles scmContext without colon separator (backward compatibility)', () => {
-            const almResponse = {
-                body: {
-                    almSettings: [
-                        {
-                            key: 'Sonar [github.com]',
-                            alm: 'github',
-                            url: 'https://api.github.com'
-                        }
-                    ]
-                }
-            };
+        it('selects the server by scmContext or pipeline org', () => {
+            assert.strictEqual(
+                sonarPlugin.getServer({ scmContext: 'github:github.com', pipelineName: 'd2lam/mytest' }),
+                sonarPlugin
+            );
+            assert.strictEqual(sonarPlugin.getServer({ scmContext: 'github:git.example.com' }).sonarHost, otherHost);
+            assert.strictEqual(
+                sonarPlugin.getServer({ scmContext: 'github:github.com', pipelineName: 'partner/mytest' }).adminToken,
+                'othertoken'
+            );
+        });
 
-            requestMock.onCall(0).resolves(almResponse);
-            requestMock.onCall(1).rejects();
-            requestMock.onCall(2).resolves(null);
+        it('leaves the Sonar host and edition to the build env vars', () =>
+            sonarPlugin
+                .getUploadCoverageCmd({
+                    build: {},
+                    pipeline: { id: 123, name: 'd2lam/mytest' },
+                    job: { id: 456, name: 'main', permutations: [{}] }
+                })
+                .then(result => {
+                    assert.include(result, '"-Dsonar.host.url=$SD_SONAR_HOST"');
+                    assert.include(result, '"$SD_SONAR_ENTERPRISE" = true');
+                }));
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, 'github.com').then(() => {
-                assert.callCount(requestMock, 3);
-                assert.call(
-                    requestMock.thirdCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Sonar%20%5Bgithub.com%5D&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
-                    })
-                );
-            });
+        it('gets an access token from the routed server', () => {
+            requestMock.onCall(0).resolves(null);
+            requestMock.onCall(1).resolves({ body: { almSettings: [] } });
+            requestMock.onCall(2).rejects(notBound);
+            requestMock.onCall(5).resolves({ body: { token: 'othertoken' } });
+            requestMock.onCall(6).resolves({ body: { userTokens: [] } });
+
+            return sonarPlugin
+                .getAccessToken({
+                    buildCredentials: { jobId: 1, pipelineId: 123, scmContext: 'github:git.example.com' }
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'othertoken');
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: `${otherHost}/api/projects/create?project=pipeline:123&name=pipeline:123`,
+                            username: 'othertoken'
+                        })
+                    );
+                    assert.neverCalledWith(requestMock, sinon.match({ url: sinon.match(config.sonarHost) }));
+                });
         });
 
-        it('returns default Git App name when scmContext is null or undefined', () => {
-            requestMock.onCall(0).rejects();
-            requestMock.onCall(1).resolves(null);
+        it('gets info from the routed server', () => {
+            requestMock.onCall(0).resolves(coverageObject);
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, null).then(() => {
-                assert.callCount(requestMock, 2);
-                assert.calledWith(
-                    requestMock.firstCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
-                    })
-                );
-                assert.call(
-                    requestMock.secondCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
-                    })
-                );
-                assert.callCount(loggerMock.error, 1);
-            });
+            return sonarPlugin
+                .getInfo({
+                    jobId: '1',
+                    pipelineId: '123',
+                    jobName: 'main',
+                    pipelineName: 'partner/mytest',
+                    startTime: '2017-10-19T13:00:00.123Z',
+                    endTime: '2017-10-19T15:00:00.234Z'
+                })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({ url: sinon.match(`${otherHost}/api/measures/search_history`) })
+                    );
+                    assert.strictEqual(result.projectUrl, `${otherHost}/dashboard?id=pipeline%3A123`);
+                    assert.strictEqual(result.envVars.SD_SONAR_HOST, otherHost);
+                    assert.isTrue(result.envVars.SD_SONAR_ENTERPRISE);
+                });
         });
 
-        it('returns default Git App name when scmContext is empty string', () => {
-            requestMock.onCall(0).rejects();
-            requestMock.onCall(1).resolves(null);
+        it('gets metrics from the routed server with its edition', () => {
+            requestMock.onCall(0).resolves(coverageObject);
 
-            return enterpriseSonarPlugin.configureGitApp(projectKey, projectName, '').then(() => {
-                assert.callCount(requestMock, 2);
+            return sonarPlugin
+                .getMetrics({
+                    projectKey: 'job:1',
+                    startTime: '2017-10-19T13:00:00.123Z',
+                    endTime: '2017-10-19T15:00:00.234Z',
+                    prNum: '5',
+                    scmContext: 'github:git.example.com'
+                })
+                .then(result => {
+                    assert.calledWith(
+                        requestMock.firstCall,
+                        sinon.match({
+                            url: sinon
+                                .match(`${otherHost}/api/measures/search_history?component=job%3A1`)
+                                .and(sinon.match('&pullRequest=5'))
+                        })
+                    );
+                    assert.strictEqual(result.coverage, '98.8');
+                });
+        });
+
+        it('binds the repository with the Git App of the routed server', () => {
+            requestMock.onCall(0).resolves({ body: { almSettings: [] } });
+            requestMock.onCall(1).rejects(notBound);
+            requestMock.onCall(2).resolves(null);
+
+            return sonarPlugin.configureGitApp('pipeline:123', 'partner/mytest', 'github:github.com').then(() => {
                 assert.calledWith(
-                    requestMock.firstCall,
-                    sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/get_binding?project=pipeline%3A123'
-                    })
-                );
-                assert.call(
-                    requestMock.secondCall,
+                    requestMock.thirdCall,
                     sinon.match({
-                        url: 'https://sonar.screwdriver.cd/api/alm_settings/set_github_binding?almSetting=Screwdriver%20Sonar%20PR%20Checks&project=pipeline%3A123&repository=d2lam%2Fmytest&summaryCommentEnabled=true&monorepo=false'
+                        url: `${otherHost}/api/alm_settings/set_github_binding?almSetting=Example%20Sonar&project=pipeline%3A123&repository=partner/mytest&summaryCommentEnabled=true&monorepo=false`
                     })
                 );
-                assert.callCount(loggerMock.error, 1);
             });
         });
     });
@@ -0,0 +1,46 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const MemoryCache = require('../../lib/cache');
+
+describe('MemoryCache test', () => {
+    let cache;
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(new Date('2024-01-10T00:00:00.000Z').getTime());
+        cache = new MemoryCache({ size: 2 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('gets values until they expire', () =>
+        cache
+            .set('a', { coverage: '98.8' }, 60)
+            .then(() => cache.get('a'))
+            .then(value => {
+                assert.deepEqual(value, { coverage: '98.8' });
+                clock.tick(60 * 1000);
+
+                return cache.get('a');
+            })
+            .then(value => assert.isUndefined(value)));
+
+    it('evicts the least recently used values', () =>
+        cache
+            .set('a', 1, 60)
+            .then(() => cache.set('b', 2, 60))
+            .then(() => cache.get('a'))
+            .then(() => cache.set('c', 3, 60))
+            .then(() => Promise.all([cache.get('a'), cache.get('b'), cache.get('c')]))
+            .then(values => assert.deepEqual(values, [1, undefined, 3])));
+
+    it('does not store values without ttl', () =>
+        cache
+            .set('a', 1, 0)
+            .then(() => cache.get('a'))
+            .then(value => assert.isUndefined(value)));
+});
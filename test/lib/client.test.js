@@ -0,0 +1,196 @@
+'use strict';
+
+const { assert } = require('chai');
+const mockery = require('mockery');
+const sinon = require('sinon');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('SonarClient test', () => {
+    const unavailable = { statusCode: 503, message: '503 Reason "Service Unavailable"' };
+    let SonarClient;
+    let SonarUnavailableError;
+    let requestMock;
+    let loggerMock;
+
+    before(() => {
+        mockery.enable({
+            useCleanCache: true,
+            warnOnUnregistered: false
+        });
+    });
+
+    beforeEach(() => {
+        requestMock = sinon.stub().resolves({ body: {} });
+        loggerMock = {
+            info: sinon.stub(),
+            warn: sinon.stub(),
+            error: sinon.stub()
+        };
+        mockery.registerMock('screwdriver-request', requestMock);
+        mockery.registerMock('screwdriver-logger', loggerMock);
+
+        // eslint-disable-next-line global-require
+        SonarClient = require('../../lib/client');
+        // eslint-disable-next-line global-require
+        ({ SonarUnavailableError } = require('../../lib/errors'));
+    });
+
+    afterEach(() => {
+        mockery.deregisterAll();
+        mockery.resetCache();
+    });
+
+    after(() => {
+        mockery.disable();
+    });
+
+    it('sends calls with a timeout', () => {
+        const client = new SonarClient({ timeout: 2000 });
+
+        return client.request({ method: 'GET', url: 'https://sonar.screwdriver.cd/api/ce/task' }).then(result => {
+            assert.deepEqual(result, { body: {} });
+            assert.calledWith(requestMock, {
+                method: 'GET',
+                url: 'https://sonar.screwdriver.cd/api/ce/task',
+                timeout: 2000,
+                retry: 0
+            });
+        });
+    });
+
+    it('sends calls to endpoints with their own timeout', () => {
+        const client = new SonarClient({ timeout: 2000, timeouts: { '/api/measures/search_history': 30000 } });
+
+        return client
+            .request({ method: 'GET', url: 'https://sonar.screwdriver.cd/api/measures/search_history?component=job' })
+            .then(() => {
+                assert.calledWith(requestMock, sinon.match({ timeout: 30000 }));
+            });
+    });
+
+    it('retries GET calls while Sonar is unavailable', () => {
+        const client = new SonarClient({ retries: 2, retryDelay: 0 });
+
+        requestMock.onCall(0).rejects(unavailable);
+        requestMock.onCall(1).rejects({ statusCode: 429, message: '429 Reason "Too Many Requests"' });
+
+        return client.request({ method: 'GET', url: 'https://sonar.screwdriver.cd/api/ce/task' }).then(result => {
+            assert.deepEqual(result, { body: {} });
+            assert.callCount(requestMock, 3);
+            assert.strictEqual(client.failures, 0);
+        });
+    });
+
+    it('retries calls flagged as idempotent', () => {
+        const client = new SonarClient({ retries: 2, retryDelay: 0 });
+
+        requestMock.onCall(0).rejects(unavailable);
+
+        return client
+            .request({ method: 'POST', url: 'https://sonar.screwdriver.cd/api/projects/create', idempotent: true })
+            .then(result => {
+                assert.deepEqual(result, { body: {} });
+                assert.callCount(requestMock, 2);
+                assert.neverCalledWith(requestMock, sinon.match.has('idempotent'));
+            });
+    });
+
+    it('does not retry other calls', () => {
+        const client = new SonarClient({ retries: 2, retryDelay: 0 });
+
+        requestMock.rejects(unavailable);
+
+        return client
+            .request({ method: 'POST', url: 'https://sonar.screwdriver.cd/api/user_tokens/generate' })
+            .then(() => assert.fail('should not get here'))
+            .catch(err => {
+                assert.instanceOf(err, SonarUnavailableError);
+                assert.strictEqual(err.message, unavailable.message);
+                assert.strictEqual(err.statusCode, 503);
+                assert.strictEqual(err.endpoint, '/api/user_tokens/generate');
+                assert.isTrue(err.retryable);
+                assert.calledOnce(requestMock);
+            });
+    });
+
+    it('does not retry calls failing with client errors', () => {
+        const client = new SonarClient({ retries: 2, retryDelay: 0 });
+
+        requestMock.rejects({ statusCode: 404, message: '404 Reason "Component key not found"' });
+
+        return client
+            .request({ method: 'GET', url: 'https://sonar.screwdriver.cd/api/measures/search_history' })
+            .then(() => assert.fail('should not get here'))
+            .catch(err => {
+                assert.strictEqual(err.statusCode, 404);
+                assert.calledOnce(requestMock);
+                assert.strictEqual(client.failures, 0);
+            });
+    });
+
+    describe('circuit breaker', () => {
+        let clock;
+        let client;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers(new Date('2024-01-10T00:00:00.000Z').getTime());
+            client = new SonarClient({ retries: 0, breakerThreshold: 2, breakerResetTimeout: 30000 });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('fails fast after too many failed calls, until it is reset', () => {
+            const url = 'https://sonar.screwdriver.cd/api/ce/task';
+
+            requestMock.rejects(unavailable);
+
+            return client
+                .request({ url })
+                .catch(() => client.request({ url }))
+                .catch(() => {
+                    assert.isTrue(client.isOpen());
+                    assert.calledWith(loggerMock.warn, 'Sonar circuit breaker opened after 2 failed calls');
+
+                    return client.request({ url });
+                })
+                .then(() => assert.fail('should not get here'))
+                .catch(err => {
+                    assert.instanceOf(err, SonarUnavailableError);
+                    assert.strictEqual(err.message, 'Sonar is unavailable, circuit breaker is open');
+                    assert.strictEqual(err.code, 'ERR_CIRCUIT_OPEN');
+                    assert.callCount(requestMock, 2);
+
+                    clock.tick(30000);
+                    requestMock.resolves({ body: {} });
+
+                    return client.request({ url });
+                })
+                .then(() => {
+                    assert.isFalse(client.isOpen());
+                    assert.callCount(requestMock, 3);
+                });
+        });
+
+        it('opens again if the first call after the reset fails', () => {
+            const url = 'https://sonar.screwdriver.cd/api/ce/task';
+
+            requestMock.rejects(unavailable);
+
+            return client
+                .request({ url })
+                .catch(() => client.request({ url }))
+                .catch(() => {
+                    clock.tick(30000);
+
+                    return client.request({ url });
+                })
+                .catch(() => {
+                    assert.isTrue(client.isOpen());
+                    assert.callCount(requestMock, 3);
+                });
+        });
+    });
+});
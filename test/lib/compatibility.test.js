@@ -0,0 +1,59 @@
+'use strict';
+
+const { assert } = require('chai');
+const { isVersionAtLeast, getCompatibility } = require('../../lib/compatibility');
+
+describe('compatibility test', () => {
+    describe('isVersionAtLeast', () => {
+        it('compares versions', () => {
+            assert.isTrue(isVersionAtLeast('9.9.0.65466', '9.5'));
+            assert.isTrue(isVersionAtLeast('9.5', '9.5'));
+            assert.isTrue(isVersionAtLeast('10.0', '9.5'));
+            assert.isFalse(isVersionAtLeast('9.4.0.54424', '9.5'));
+            assert.isFalse(isVersionAtLeast('8.9.10.61524', '9.5'));
+            assert.isFalse(isVersionAtLeast(undefined, '9.5'));
+        });
+    });
+
+    describe('getCompatibility', () => {
+        it('uses the latest APIs if the version is not known', () => {
+            assert.deepEqual(getCompatibility(), {
+                version: undefined,
+                projectParameter: 'project',
+                almSettings: true,
+                projectTokens: true,
+                tokenExpiration: true,
+                tokenProperty: 'sonar.token'
+            });
+        });
+
+        it('uses sonar.login before SonarQube 10', () => {
+            assert.deepEqual(getCompatibility('9.9.2.77730'), {
+                version: '9.9.2.77730',
+                projectParameter: 'project',
+                almSettings: true,
+                projectTokens: true,
+                tokenExpiration: true,
+                tokenProperty: 'sonar.login'
+            });
+        });
+
+        it('disables tokens types and expiration on older servers', () => {
+            assert.deepEqual(getCompatibility('8.9.10.61524'), {
+                version: '8.9.10.61524',
+                projectParameter: 'project',
+                almSettings: true,
+                projectTokens: false,
+                tokenExpiration: false,
+                tokenProperty: 'sonar.login'
+            });
+        });
+
+        it('disables ALM settings and uses the key parameter on legacy servers', () => {
+            const compatibility = getCompatibility('6.2');
+
+            assert.strictEqual(compatibility.projectParameter, 'key');
+            assert.isFalse(compatibility.almSettings);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { assert } = require('chai');
+const {
+    SonarApiError,
+    SonarAuthError,
+    SonarNotFoundError,
+    SonarConflictError,
+    SonarUnavailableError,
+    fromResponseError,
+    wrapError
+} = require('../../lib/errors');
+
+describe('errors test', () => {
+    describe('fromResponseError', () => {
+        it('types errors by status code', () => {
+            const types = [
+                [401, 'Unauthorized', SonarAuthError],
+                [403, 'Insufficient privileges', SonarAuthError],
+                [404, "Component key 'job:1' not found", SonarNotFoundError],
+                [409, 'Conflict', SonarConflictError],
+                [400, 'Could not create Project, key already exists: job:1', SonarConflictError],
+                [400, 'Value of parameter is invalid', SonarApiError],
+                [429, 'Too Many Requests', SonarUnavailableError],
+                [502, 'Bad Gateway', SonarUnavailableError]
+            ];
+
+            types.forEach(([statusCode, message, ErrorClass]) => {
+                const err = fromResponseError({ statusCode, message }, '/api/projects/create');
+
+                assert.instanceOf(err, ErrorClass);
+                assert.instanceOf(err, SonarApiError);
+                assert.strictEqual(err.name, ErrorClass.name);
+                assert.strictEqual(err.message, message);
+                assert.strictEqual(err.statusCode, statusCode);
+                assert.strictEqual(err.endpoint, '/api/projects/create');
+                assert.strictEqual(err.retryable, ErrorClass === SonarUnavailableError);
+            });
+        });
+
+        it('keeps the code of network errors', () => {
+            const err = fromResponseError({ statusCode: 500, code: 'ETIMEDOUT', message: 'Timeout' });
+
+            assert.instanceOf(err, SonarUnavailableError);
+            assert.strictEqual(err.code, 'ETIMEDOUT');
+        });
+    });
+
+    describe('wrapError', () => {
+        it('keeps the type and details of the Sonar error', () => {
+            const cause = fromResponseError(
+                { statusCode: 403, message: 'Insufficient privileges' },
+                '/api/projects/create'
+            );
+            const err = wrapError(cause, 'Failed to create project job:1: Insufficient privileges', {
+                operation: 'createProject',
+                projectKey: 'job:1'
+            });
+
+            assert.instanceOf(err, SonarAuthError);
+            assert.strictEqual(err.message, 'Failed to create project job:1: Insufficient privileges');
+            assert.strictEqual(err.statusCode, 403);
+            assert.strictEqual(err.endpoint, '/api/projects/create');
+            assert.strictEqual(err.operation, 'createProject');
+            assert.strictEqual(err.projectKey, 'job:1');
+            assert.isFalse(err.retryable);
+            assert.strictEqual(err.cause, cause);
+        });
+
+        it('wraps other errors as Sonar API errors', () => {
+            const err = wrapError(new Error('socket hang up'), 'Failed to get Sonar server version: socket hang up', {
+                operation: 'getServerVersion'
+            });
+
+            assert.instanceOf(err, SonarApiError);
+            assert.strictEqual(err.name, 'SonarApiError');
+            assert.isUndefined(err.statusCode);
+            assert.isFalse(err.retryable);
+        });
+    });
+});